@@ -3,12 +3,27 @@ const CONFIG = {
     TILE_SIZE: 32,
     MAP_WIDTH: 20,
     MAP_HEIGHT: 15,
-    CANVAS_WIDTH: 20 * 32,
-    CANVAS_HEIGHT: 15 * 32,
+    VIEWPORT_WIDTH: 15, // Tiles visible around the player, like Tibia
+    VIEWPORT_HEIGHT: 11,
+    CANVAS_WIDTH: 15 * 32,
+    CANVAS_HEIGHT: 11 * 32,
     FPS: 60,
     FIREBALL_SPEED: 8,
-    FIREBALL_DAMAGE: 15,
-    FIREBALL_COOLDOWN: 1000,
+    BASE_SPEED: 220, // Used until the server sends the player's speed
+    STEP_SPEED_SCALE: 44000, // Step milliseconds are this / speed, same as the server
+    DIAGONAL_STEP_FACTOR: Math.SQRT2,
+    CHAT_HISTORY: 100, // Lines kept per chat tab
+    SPEECH_DURATION: 4000, // How long speech stays above a player
+    SPEECH_LINE_LENGTH: 30,
+    EFFECT_DURATION: 600, // How long a spell effect stays on its tiles
+    MAP_CHUNK_SIZE: 16, // Tiles per side of a map chunk, same as the server
+    INTERPOLATION_DELAY: 100, // Other players and monsters are drawn this far in the past
+    POSITION_BUFFER_SIZE: 8, // Server positions kept per entity
+    SPRITE_FOLDER: 'sprites_output/',
+    MUSIC_FOLDER: 'music/', // Sector music tracks, named in the map editor
+    MUSIC_VOLUME: 0.4,
+    BATTLE_LIST_INTERVAL: 250, // Milliseconds between battle list refreshes
+    COMBAT_MODE_KEY: 'tibiaClone.multiplayer.combatMode', // localStorage key
 };
 
 // Game State
@@ -16,19 +31,60 @@ const game = {
     canvas: null,
     ctx: null,
     running: false,
-    map: [],
+    mapChunks: new Map(), // "x,y" of a chunk's top left tile -> the chunk's tiles and layers
+    mapData: null, // Layers, sprite registry and sectors from the server's map file
     players: new Map(), // All players including self
     myPlayerId: null,
     monsters: new Map(),
+    npcs: new Map(),
     fireballs: [],
     keys: {},
-    mouseX: 0,
+    mouseX: 0, // Mouse position in canvas pixels, see getMouseWorld()
     mouseY: 0,
+    camera: { x: 0, y: 0 }, // World pixel at the top left of the canvas
     lastFireball: 0,
+    movement: null, // Hold-to-walk controller, see keybindings.js
+    moveSeq: 0, // Number of the last step sent to the server
+    pendingMoves: [], // Predicted steps the server has not answered: { seq, x, y }
+    correctedSeq: 0, // Steps up to this one were sent before the last correction
+    clockOffset: null, // Server clock minus ours, less the fastest message latency
     ws: null,
     connected: false,
+    sprites: new Map(), // spriteId -> Image
+    stats: null, // Level, experience and skills of the local player
+    creatures: {}, // Creature definitions sent by the server
+    items: {}, // Item definitions sent by the server
+    spells: {}, // Spell definitions sent by the server
+    keyBindings: null, // Movement keys and the action bar, see keybindings.js
+    effects: [], // Spell effects being shown: { emoji, tiles, until }
+    inventory: [], // Backpack slots, each { itemId, count } or null
+    equipment: {}, // Equipment slot -> { itemId, count } or null
+    groundItems: new Map(), // "x,y" -> items and corpses on the tile, top last
+    openCorpse: null, // Corpse shown in the loot panel: { x, y, uid, name, items }
+    trade: null, // NPC shop shown in the trade panel: { npcId, name, offers, currency }
+    quests: [], // Quest log from the server: { id, name, description, completed, progress }
+    groundDrag: null, // Tile a ground item is being dragged from
+    zone: null, // Sector we stand in and its rules, from zoneChanged
+    music: null, // Audio playing the sector's music track
+    loggingOut: false,
+    target: null, // { kind: 'monster' | 'player', id } the server auto-attacks
+    combatMode: 'stand', // 'stand' or 'chase', walking up to the target
+    nextBattleListAt: 0,
+    fireballSpriteId: null,
+    chat: {
+        tabs: { local: [], global: [], trade: [], private: [] }, // Lines per tab
+        activeTab: 'local',
+        lastWhisper: null, // Name the Private tab replies to
+    },
 };
 
+// Equipment slots as laid out in the inventory panel, null for a gap
+const EQUIPMENT_LAYOUT = [
+    'amulet', 'head', null,
+    'weapon', 'armor', 'shield',
+    'ring', 'legs', null,
+];
+
 // Tile types
 const TILES = {
     GRASS: { emoji: '🟩', walkable: true },
@@ -38,15 +94,193 @@ const TILES = {
     DIRT: { emoji: '🟫', walkable: true },
 };
 
+// Sprite file name as produced by spr_to_png.py
+function spriteFileName(spriteId) {
+    return `sprite_${String(spriteId).padStart(5, '0')}.png`;
+}
+
+// Start loading a sprite image (once per sprite id)
+function loadSprite(spriteId) {
+    if (game.sprites.has(spriteId)) {
+        return game.sprites.get(spriteId);
+    }
+
+    const registry = game.mapData ? game.mapData.spriteRegistry[spriteId] : null;
+    const img = new Image();
+    img.src = CONFIG.SPRITE_FOLDER + (registry && registry.file ? registry.file : spriteFileName(spriteId));
+    game.sprites.set(spriteId, img);
+    return img;
+}
+
+// Get a loaded sprite image, or null while it is loading or missing
+function getSprite(spriteId) {
+    if (spriteId === null || spriteId === undefined) return null;
+
+    const img = loadSprite(spriteId);
+    return img.complete && img.naturalWidth > 0 ? img : null;
+}
+
+// Preload every sprite referenced by a chunk's layers
+function preloadChunkSprites(layers) {
+    const spriteIds = new Set();
+    layers.forEach(rows => {
+        rows.forEach(row => {
+            row.forEach(tile => {
+                if (tile) spriteIds.add(tile.spriteId);
+            });
+        });
+    });
+
+    spriteIds.forEach(spriteId => loadSprite(spriteId));
+}
+
+// The received chunk holding a tile, or undefined until it arrives
+function getMapChunk(x, y) {
+    const size = CONFIG.MAP_CHUNK_SIZE;
+    return game.mapChunks.get(`${x - x % size},${y - y % size}`);
+}
+
+// A tile of the map, or null while its chunk is not loaded
+function getMapTile(x, y) {
+    const chunk = getMapChunk(x, y);
+    return chunk ? chunk.tiles[y - chunk.y][x - chunk.x] : null;
+}
+
+// The sprite tile of one layer at a tile, or null
+function getLayerTile(layerIndex, x, y) {
+    const chunk = getMapChunk(x, y);
+    return chunk ? chunk.layers[layerIndex][y - chunk.y][x - chunk.x] : null;
+}
+
+// Keep a chunk's tiles and layer sprites and copy its ground items
+function loadMapChunk(chunk) {
+    game.mapChunks.set(`${chunk.x},${chunk.y}`, {
+        x: chunk.x,
+        y: chunk.y,
+        tiles: chunk.tiles,
+        layers: chunk.layers,
+    });
+    for (let y = chunk.y; y < chunk.y + chunk.height; y++) {
+        for (let x = chunk.x; x < chunk.x + chunk.width; x++) {
+            game.groundItems.delete(`${x},${y}`);
+        }
+    }
+    chunk.groundItems.forEach(tile => game.groundItems.set(`${tile.x},${tile.y}`, tile.items));
+    preloadChunkSprites(chunk.layers);
+}
+
+// The server stops sending changes for chunks we walked away from and sends
+// them again when we come back, so forget their tiles and ground items
+function unloadMapChunks(chunks) {
+    chunks.forEach(chunk => {
+        game.mapChunks.delete(`${chunk.x},${chunk.y}`);
+        game.groundItems.forEach((items, key) => {
+            const [x, y] = key.split(',').map(Number);
+            if (x >= chunk.x && x < chunk.x + CONFIG.MAP_CHUNK_SIZE &&
+                y >= chunk.y && y < chunk.y + CONFIG.MAP_CHUNK_SIZE) {
+                game.groundItems.delete(key);
+            }
+        });
+    });
+}
+
 // Entity base class
 class Entity {
-    constructor(id, x, y, emoji, health, maxHealth) {
+    constructor(id, x, y, emoji, health, maxHealth, spriteId = null) {
         this.id = id;
         this.x = x;
         this.y = y;
         this.emoji = emoji;
+        this.spriteId = spriteId;
+        this.directionSpriteIds = null; // Optional sprite per facing direction
         this.health = health;
         this.maxHealth = maxHealth;
+        this.direction = 'south';
+        this.step = null; // Tile walked from and when, while a step is drawn
+        this.positions = []; // Timestamped server positions, oldest first
+    }
+
+    // Walk to a neighbouring tile; draw() slides there over the duration.
+    // Used for our own predicted steps, which are drawn without delay.
+    walkTo(x, y, duration) {
+        const from = this.getDrawPosition();
+        this.step = { fromX: from.x, fromY: from.y, start: Date.now(), duration };
+        this.direction = getDirection(x - this.x, y - this.y, this.direction);
+        this.x = x;
+        this.y = y;
+    }
+
+    // Buffer a step reported by the server. The step started at serverTime
+    // and ends duration ms later; draw() replays the buffer
+    // CONFIG.INTERPOLATION_DELAY behind so late messages still land smoothly.
+    addPosition(x, y, direction, duration, serverTime) {
+        const last = this.positions[this.positions.length - 1];
+        const start = Math.max(toLocalTime(serverTime), last ? last.time : 0);
+        if (!last || last.time < start) {
+            this.positions.push({ x: this.x, y: this.y, direction: this.direction, time: start });
+        }
+        this.positions.push({ x, y, direction, time: start + duration });
+        if (this.positions.length > CONFIG.POSITION_BUFFER_SIZE) {
+            this.positions.splice(0, this.positions.length - CONFIG.POSITION_BUFFER_SIZE);
+        }
+        this.direction = direction;
+        this.x = x;
+        this.y = y;
+    }
+
+    // Jump straight to a tile, e.g. on a server correction or respawn
+    placeAt(x, y) {
+        this.step = null;
+        this.positions = [];
+        this.x = x;
+        this.y = y;
+    }
+
+    // Tile position and facing to draw at: part way through our own step,
+    // or interpolated between the buffered server positions
+    getDrawPosition() {
+        if (this.positions.length > 0) {
+            return this.getBufferedPosition(Date.now() - CONFIG.INTERPOLATION_DELAY);
+        }
+
+        const step = this.step;
+        const progress = step ? (Date.now() - step.start) / step.duration : 1;
+        if (progress >= 1) {
+            this.step = null;
+            return { x: this.x, y: this.y, direction: this.direction };
+        }
+        return {
+            x: step.fromX + (this.x - step.fromX) * progress,
+            y: step.fromY + (this.y - step.fromY) * progress,
+            direction: this.direction,
+        };
+    }
+
+    getBufferedPosition(renderTime) {
+        const positions = this.positions;
+        // Drop positions the render time has moved past, keeping the one before it
+        while (positions.length > 1 && positions[1].time <= renderTime) {
+            positions.shift();
+        }
+
+        const from = positions[0];
+        const to = positions[1];
+        if (!to) {
+            if (renderTime >= from.time) {
+                this.positions = [];
+            }
+            return { x: from.x, y: from.y, direction: from.direction };
+        }
+        if (renderTime <= from.time) {
+            return { x: from.x, y: from.y, direction: from.direction };
+        }
+
+        const progress = (renderTime - from.time) / (to.time - from.time);
+        return {
+            x: from.x + (to.x - from.x) * progress,
+            y: from.y + (to.y - from.y) * progress,
+            direction: to.direction,
+        };
     }
 
     draw(ctx, isLocalPlayer = false) {
@@ -54,10 +288,40 @@ class Entity {
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
 
-        const centerX = this.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
-        const centerY = this.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+        const position = this.getDrawPosition();
+        const centerX = position.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+        const centerY = position.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+
+        // Dead players are drawn as a ghost until they respawn
+        if (this.dead) {
+            ctx.globalAlpha = 0.4;
+            ctx.fillText('👻', centerX, centerY);
+            ctx.globalAlpha = 1;
+            this.drawSpeech(ctx, centerX, centerY);
+            return;
+        }
 
-        ctx.fillText(this.emoji, centerX, centerY);
+        // A sprite for the facing direction if there is one; otherwise the
+        // single sprite or emoji, which faces west, is mirrored to face east
+        const directionSprite = this.directionSpriteIds && getSprite(this.directionSpriteIds[position.direction]);
+        const sprite = directionSprite || getSprite(this.spriteId);
+        ctx.save();
+        if (!directionSprite && position.direction === 'east') {
+            ctx.translate(centerX * 2, 0);
+            ctx.scale(-1, 1);
+        }
+        if (sprite) {
+            ctx.drawImage(
+                sprite,
+                position.x * CONFIG.TILE_SIZE,
+                position.y * CONFIG.TILE_SIZE,
+                CONFIG.TILE_SIZE,
+                CONFIG.TILE_SIZE
+            );
+        } else {
+            ctx.fillText(this.emoji, centerX, centerY);
+        }
+        ctx.restore();
 
         // Draw health bar above entity
         if (this.health < this.maxHealth) {
@@ -74,37 +338,148 @@ class Entity {
             ctx.fillRect(barX, barY, healthWidth, barHeight);
         }
 
-        // Draw name tag for other players
+        // Draw name tag for creatures and other players
         if (!isLocalPlayer && this.name) {
+            const nameTag = this.getNameTag();
             ctx.font = '10px Arial';
-            ctx.fillStyle = '#fff';
+            ctx.fillStyle = this.nameColor || '#fff';
             ctx.strokeStyle = '#000';
             ctx.lineWidth = 2;
-            ctx.strokeText(this.name, centerX, centerY - 25);
-            ctx.fillText(this.name, centerX, centerY - 25);
+            ctx.strokeText(nameTag, centerX, centerY - 25);
+            ctx.fillText(nameTag, centerX, centerY - 25);
+        }
+
+        this.drawSpeech(ctx, centerX, centerY);
+    }
+
+    getNameTag() {
+        return this.name;
+    }
+
+    // Show what the entity said above its name tag for a few seconds
+    say(text, yell = false) {
+        this.speech = { text, yell, until: Date.now() + CONFIG.SPEECH_DURATION };
+    }
+
+    drawSpeech(ctx, centerX, centerY) {
+        if (!this.speech || Date.now() > this.speech.until) return;
+
+        const lines = wrapText(this.speech.text, CONFIG.SPEECH_LINE_LENGTH);
+        ctx.font = this.speech.yell ? 'bold 12px Arial' : '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffff00';
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 3;
+
+        lines.forEach((line, i) => {
+            const y = centerY - 40 - (lines.length - 1 - i) * 14;
+            ctx.strokeText(line, centerX, y);
+            ctx.fillText(line, centerX, y);
+        });
+    }
+}
+
+// Split text into lines of at most maxLength characters at word boundaries
+function wrapText(text, maxLength) {
+    const lines = [];
+    let line = '';
+
+    text.split(' ').forEach(word => {
+        while (word.length > maxLength) {
+            if (line) {
+                lines.push(line);
+                line = '';
+            }
+            lines.push(word.slice(0, maxLength));
+            word = word.slice(maxLength);
+        }
+        if (line && line.length + 1 + word.length > maxLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
         }
+    });
+    if (line) {
+        lines.push(line);
     }
+    return lines;
 }
 
+const SKULL_ICONS = { white: '💀', red: '☠️' };
+
 // Player class
 class Player extends Entity {
     constructor(id, x, y, name) {
         super(id, x, y, '🧙', 100, 100);
         this.name = name;
+        this.skull = null; // 'white' or 'red' for player killers
+        this.frags = 0; // Unjustified kills that still count
+    }
+
+    // Name with the skull and frag count, if any
+    getNameTag() {
+        const parts = [this.name];
+        if (this.skull) {
+            parts.push(SKULL_ICONS[this.skull]);
+        }
+        if (this.frags > 0) {
+            parts.push(`[${this.frags}]`);
+        }
+        return parts.join(' ');
     }
 }
 
-// Monster class
+// Monster class, drawn and labelled from its creature definition
 class Monster extends Entity {
-    constructor(id, x, y) {
-        super(id, x, y, '👹', 50, 50);
+    constructor(id, x, y, type) {
+        const creature = game.creatures[type] || { name: 'Monster', emoji: '👹', health: 50, spriteId: null };
+        super(id, x, y, creature.emoji, creature.health, creature.health, creature.spriteId);
+        this.directionSpriteIds = creature.directionSpriteIds || null;
+        this.type = type;
+        this.name = creature.name;
+    }
+}
+
+// Non-player character; it only talks, so it is never hurt or targeted
+class Npc extends Entity {
+    constructor(npcData) {
+        super(npcData.id, npcData.x, npcData.y, npcData.emoji, 1, 1, npcData.spriteId);
+        this.name = npcData.name;
+        this.nameColor = npcData.nameColor;
+        this.direction = npcData.direction;
     }
 }
 
+// Create a player from the server's player data
+function createPlayer(playerData) {
+    const player = new Player(playerData.id, playerData.x, playerData.y, playerData.name);
+    player.health = playerData.health;
+    player.maxHealth = playerData.maxHealth;
+    player.dead = !!playerData.dead;
+    player.direction = playerData.direction;
+    player.skull = playerData.skull || null;
+    player.frags = playerData.frags || 0;
+    return player;
+}
+
+// Create a monster from the server's monster data
+function createMonster(monsterData) {
+    const monster = new Monster(monsterData.id, monsterData.x, monsterData.y, monsterData.type);
+    monster.health = monsterData.health;
+    monster.maxHealth = monsterData.maxHealth;
+    monster.state = monsterData.state;
+    monster.direction = monsterData.direction;
+    return monster;
+}
+
 // Fireball class
 class Fireball {
-    constructor(id, startX, startY, targetX, targetY) {
+    constructor(id, startX, startY, targetX, targetY, spriteId = null, casterId = null) {
         this.id = id;
+        this.spriteId = spriteId;
+        this.casterId = casterId;
         this.x = startX * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
         this.y = startY * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
 
@@ -124,14 +499,14 @@ class Fireball {
         this.y += this.vy;
 
         // Check if out of bounds
-        if (this.x < 0 || this.x > CONFIG.CANVAS_WIDTH ||
-            this.y < 0 || this.y > CONFIG.CANVAS_HEIGHT) {
+        if (this.x < 0 || this.x > CONFIG.MAP_WIDTH * CONFIG.TILE_SIZE ||
+            this.y < 0 || this.y > CONFIG.MAP_HEIGHT * CONFIG.TILE_SIZE) {
             this.active = false;
             return;
         }
 
-        // Check collision with monsters (client-side prediction)
-        game.monsters.forEach((monster, monsterId) => {
+        // Check collision with monsters (visual prediction only, the server decides hits)
+        game.monsters.forEach(monster => {
             const monsterCenterX = monster.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
             const monsterCenterY = monster.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
 
@@ -142,30 +517,48 @@ class Fireball {
 
             if (distance < 16) {
                 this.active = false;
-
-                // Notify server of hit
-                if (game.ws && game.ws.readyState === WebSocket.OPEN) {
-                    game.ws.send(JSON.stringify({
-                        type: 'fireballHit',
-                        monsterId: monsterId,
-                    }));
-                }
             }
         });
 
+        // Players only stop it in PvP zones; ours is the best guess we have
+        if (game.zone && game.zone.pvp) {
+            game.players.forEach(player => {
+                if (player.id === this.casterId || player.dead) return;
+
+                const playerCenterX = player.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+                const playerCenterY = player.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+                const distance = Math.sqrt(
+                    Math.pow(this.x - playerCenterX, 2) +
+                    Math.pow(this.y - playerCenterY, 2)
+                );
+
+                if (distance < 16) {
+                    this.active = false;
+                }
+            });
+        }
+
         // Check collision with obstacles
         const tileX = Math.floor(this.x / CONFIG.TILE_SIZE);
         const tileY = Math.floor(this.y / CONFIG.TILE_SIZE);
 
         if (tileX >= 0 && tileX < CONFIG.MAP_WIDTH &&
             tileY >= 0 && tileY < CONFIG.MAP_HEIGHT) {
-            if (!game.map[tileY][tileX].walkable) {
+            const tile = getMapTile(tileX, tileY);
+            if (tile && !tile.walkable) {
                 this.active = false;
             }
         }
     }
 
     draw(ctx) {
+        const sprite = getSprite(this.spriteId);
+        if (sprite) {
+            const size = CONFIG.TILE_SIZE * 0.75;
+            ctx.drawImage(sprite, this.x - size / 2, this.y - size / 2, size, size);
+            return;
+        }
+
         ctx.font = '24px Arial';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
@@ -184,6 +577,7 @@ function connectToServer() {
         console.log('Connected to server');
         game.connected = true;
         addLog('Connected to server!', 'info');
+        setLoginEnabled(true);
     };
 
     game.ws.onmessage = (event) => {
@@ -192,10 +586,17 @@ function connectToServer() {
     };
 
     game.ws.onclose = () => {
+        // Back to a fresh login screen after logging out
+        if (game.loggingOut) {
+            window.location.reload();
+            return;
+        }
         console.log('Disconnected from server');
         game.connected = false;
         game.running = false;
         addLog('Disconnected from server', 'damage');
+        setLoginEnabled(false);
+        document.getElementById('loginError').textContent = 'Disconnected from server';
     };
 
     game.ws.onerror = (error) => {
@@ -204,257 +605,1350 @@ function connectToServer() {
     };
 }
 
-// Handle messages from server
-function handleServerMessage(message) {
-    switch (message.type) {
-        case 'init':
-            // Initialize game with server data
-            game.myPlayerId = message.playerId;
-            game.map = message.map;
-
-            // Create players
-            message.players.forEach(playerData => {
-                const player = new Player(
-                    playerData.id,
-                    playerData.x,
-                    playerData.y,
-                    playerData.name
-                );
-                player.health = playerData.health;
-                game.players.set(playerData.id, player);
-            });
-
-            // Create monsters
-            message.monsters.forEach(monsterData => {
-                const monster = new Monster(
-                    monsterData.id,
-                    monsterData.x,
-                    monsterData.y
-                );
-                monster.health = monsterData.health;
-                game.monsters.set(monsterData.id, monster);
-            });
+// Login screen
+function setupLogin() {
+    const form = document.getElementById('loginForm');
 
-            game.running = true;
-            updatePlayerUI();
-            updateMonsterUI();
-            addLog(`You joined as ${game.players.get(game.myPlayerId).name}`, 'info');
-            break;
+    const submit = (type) => {
+        const name = document.getElementById('loginName').value.trim();
+        const password = document.getElementById('loginPassword').value;
 
-        case 'playerJoined':
-            const newPlayer = new Player(
-                message.player.id,
-                message.player.x,
-                message.player.y,
-                message.player.name
-            );
-            newPlayer.health = message.player.health;
-            game.players.set(message.player.id, newPlayer);
-            addLog(`${message.player.name} joined the game!`, 'info');
-            break;
+        if (!name || !password) {
+            document.getElementById('loginError').textContent = 'Enter a name and password';
+            return;
+        }
 
-        case 'playerLeft':
-            const leftPlayer = game.players.get(message.playerId);
-            if (leftPlayer) {
-                addLog(`${leftPlayer.name} left the game`, 'info');
-                game.players.delete(message.playerId);
-            }
-            break;
+        document.getElementById('loginError').textContent = '';
+        setLoginEnabled(false);
+        game.ws.send(JSON.stringify({ type, name, password }));
+    };
 
-        case 'playerMoved':
-            const movedPlayer = game.players.get(message.playerId);
-            if (movedPlayer) {
-                movedPlayer.x = message.x;
-                movedPlayer.y = message.y;
-            }
-            break;
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submit('login');
+    });
+    document.getElementById('registerBtn').addEventListener('click', () => submit('register'));
+    document.getElementById('logoutBtn').addEventListener('click', logout);
 
-        case 'fireballCast':
-            const fb = message.fireball;
-            const fireball = new Fireball(
-                fb.id,
-                fb.startX,
-                fb.startY,
-                fb.targetX,
-                fb.targetY
-            );
-            game.fireballs.push(fireball);
-            break;
+    setLoginEnabled(false);
+    document.getElementById('loginName').focus();
+}
 
-        case 'monsterMoved':
-            const monster = game.monsters.get(message.monsterId);
-            if (monster) {
-                monster.x = message.x;
-                monster.y = message.y;
-            }
-            break;
+function setLoginEnabled(enabled) {
+    document.getElementById('loginBtn').disabled = !enabled;
+    document.getElementById('registerBtn').disabled = !enabled;
+}
 
-        case 'monsterDamaged':
-            const damagedMonster = game.monsters.get(message.monsterId);
-            if (damagedMonster) {
-                damagedMonster.health = message.health;
-                addLog(`Monster takes ${message.damage} damage!`, 'damage');
-            }
-            updateMonsterUI();
-            break;
+// Chat console: tabs, input line and keyboard focus
+function setupChat() {
+    document.querySelectorAll('.chat-tab').forEach(tab => {
+        tab.addEventListener('click', () => switchChatTab(tab.dataset.tab));
+    });
 
-        case 'monsterDied':
-            game.monsters.delete(message.monsterId);
-            addLog('Monster defeated!', 'info');
-            updateMonsterUI();
-            break;
+    const input = document.getElementById('chatInput');
 
-        case 'monsterSpawned':
-            const newMonster = new Monster(
-                message.monster.id,
-                message.monster.x,
-                message.monster.y
-            );
-            newMonster.health = message.monster.health;
-            game.monsters.set(message.monster.id, newMonster);
-            addLog('A new monster appeared!', 'info');
-            updateMonsterUI();
-            break;
+    document.getElementById('chatForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        sendChat(input.value);
+        input.value = '';
+    });
 
-        case 'playerDamaged':
-            const damagedPlayer = game.players.get(message.playerId);
-            if (damagedPlayer) {
-                damagedPlayer.health = message.health;
-                if (message.playerId === game.myPlayerId) {
-                    addLog(`You take ${message.damage} damage!`, 'damage');
-                    updatePlayerUI();
-                }
-            }
-            break;
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            input.blur();
+        }
+    });
 
-        case 'playerDied':
-            if (message.playerId === game.myPlayerId) {
-                gameOver();
-            }
-            break;
-    }
+    renderChatTab();
 }
 
-// Initialize game
-function init() {
-    game.canvas = document.getElementById('gameCanvas');
-    game.ctx = game.canvas.getContext('2d');
+// Inventory panel: equipment slots are built once, backpack slots when the
+// server tells us how many there are
+function setupInventory() {
+    const grid = document.getElementById('equipmentGrid');
+    EQUIPMENT_LAYOUT.forEach(slot => {
+        if (slot) {
+            grid.appendChild(createItemSlot({ type: 'equipment', slot }));
+        } else {
+            grid.appendChild(document.createElement('div'));
+        }
+    });
+}
 
-    game.canvas.width = CONFIG.CANVAS_WIDTH;
-    game.canvas.height = CONFIG.CANVAS_HEIGHT;
+// A slot element that items can be dragged from and dropped on. Shift+drop
+// asks how many of a stack to move; double click equips or unequips.
+function createItemSlot(location) {
+    const element = document.createElement('div');
+    element.className = 'item-slot';
+    element.location = location;
+    if (location.slot) {
+        element.dataset.slot = location.slot;
+    }
 
-    setupInput();
-    connectToServer();
+    element.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', JSON.stringify(location));
+    });
+    element.addEventListener('dragover', (e) => e.preventDefault());
+    element.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const from = JSON.parse(e.dataTransfer.getData('text/plain'));
+        const entry = getItemAt(from);
+        if (!entry) return;
+
+        let count;
+        if (e.shiftKey && entry.count > 1) {
+            count = parseInt(prompt('How many?', entry.count));
+            if (!(count > 0)) return;
+        }
+        sendMoveItem(from, location, count);
+    });
+    element.addEventListener('dblclick', () => {
+        const entry = getItemAt(location);
+        if (!entry) return;
+
+        const item = game.items[entry.itemId];
+        if (location.type === 'equipment' || location.type === 'corpse') {
+            sendMoveItem(location, { type: 'backpack' });
+        } else if (item.slot) {
+            sendMoveItem(location, { type: 'equipment', slot: item.slot });
+        }
+    });
 
-    requestAnimationFrame(gameLoop);
+    return element;
 }
 
-// Setup keyboard and mouse input
-function setupInput() {
-    document.addEventListener('keydown', (e) => {
-        game.keys[e.key.toLowerCase()] = true;
-
-        if (game.running && game.myPlayerId) {
-            const myPlayer = game.players.get(game.myPlayerId);
-            if (!myPlayer) return;
-
-            let newX = myPlayer.x;
-            let newY = myPlayer.y;
-            let moved = false;
-
-            if (e.key.toLowerCase() === 'w') {
-                newY -= 1;
-                moved = true;
-            } else if (e.key.toLowerCase() === 's') {
-                newY += 1;
-                moved = true;
-            } else if (e.key.toLowerCase() === 'a') {
-                newX -= 1;
-                moved = true;
-            } else if (e.key.toLowerCase() === 'd') {
-                newX += 1;
-                moved = true;
-            }
-
-            if (moved && canMoveTo(newX, newY)) {
-                // Optimistic update
-                myPlayer.x = newX;
-                myPlayer.y = newY;
-
-                // Send to server
-                game.ws.send(JSON.stringify({
-                    type: 'move',
-                    x: newX,
-                    y: newY,
-                }));
+function getItemAt(location) {
+    switch (location.type) {
+        case 'equipment':
+            return game.equipment[location.slot];
+        case 'corpse':
+            return game.openCorpse && game.openCorpse.uid === location.uid ? game.openCorpse.items[location.index] : null;
+        default:
+            return game.inventory[location.index];
+    }
+}
 
-                updatePlayerUI();
-            }
-        }
-    });
+// The server checks and applies the move, then sends the new inventory
+function sendMoveItem(from, to, count) {
+    game.ws.send(JSON.stringify({ type: 'moveItem', from, to, count }));
+}
 
-    document.addEventListener('keyup', (e) => {
-        game.keys[e.key.toLowerCase()] = false;
-    });
+function renderInventory() {
+    const backpack = document.getElementById('backpackGrid');
+    if (backpack.children.length !== game.inventory.length) {
+        backpack.innerHTML = '';
+        game.inventory.forEach((entry, index) => {
+            backpack.appendChild(createItemSlot({ type: 'backpack', index }));
+        });
+    }
 
-    game.canvas.addEventListener('mousemove', (e) => {
-        const rect = game.canvas.getBoundingClientRect();
-        game.mouseX = e.clientX - rect.left;
-        game.mouseY = e.clientY - rect.top;
+    document.querySelectorAll('.item-slot').forEach(element => {
+        renderItemSlot(element, getItemAt(element.location));
     });
+}
 
-    game.canvas.addEventListener('click', (e) => {
-        if (!game.running || !game.myPlayerId) return;
+function renderItemSlot(element, entry) {
+    element.innerHTML = '';
+    element.draggable = !!entry;
+    element.title = element.location.slot || '';
+    if (!entry) return;
+
+    const item = game.items[entry.itemId];
+    const sprite = getSprite(item.spriteId);
+    if (sprite) {
+        const img = document.createElement('img');
+        img.src = sprite.src;
+        element.appendChild(img);
+    } else {
+        const icon = document.createElement('span');
+        icon.textContent = item.emoji;
+        element.appendChild(icon);
+    }
 
-        const now = Date.now();
-        if (now - game.lastFireball < CONFIG.FIREBALL_COOLDOWN) {
-            addLog('Fireball on cooldown!', 'info');
-            return;
-        }
+    if (entry.count > 1) {
+        const count = document.createElement('span');
+        count.className = 'item-count';
+        count.textContent = entry.count;
+        element.appendChild(count);
+    }
 
-        const rect = game.canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const mouseY = e.clientY - rect.top;
+    element.title = describeItem(item, entry.count);
+}
 
-        const myPlayer = game.players.get(game.myPlayerId);
+// Loot panel: one slot per item left in the open corpse
+function showCorpse(corpse) {
+    game.openCorpse = corpse;
+    document.getElementById('lootPanel').style.display = 'block';
+    document.getElementById('lootName').textContent = `Loot of ${corpse.name}`;
+
+    const grid = document.getElementById('lootGrid');
+    grid.innerHTML = '';
+    corpse.items.forEach((entry, index) => {
+        const slot = createItemSlot({ type: 'corpse', x: corpse.x, y: corpse.y, uid: corpse.uid, index });
+        renderItemSlot(slot, entry);
+        grid.appendChild(slot);
+    });
+    if (corpse.items.length === 0) {
+        grid.textContent = 'Nothing left.';
+    }
+}
 
-        // Send fireball to server
-        game.ws.send(JSON.stringify({
-            type: 'fireball',
-            targetX: mouseX,
-            targetY: mouseY,
-        }));
+function closeCorpse() {
+    game.openCorpse = null;
+    document.getElementById('lootPanel').style.display = 'none';
+    document.getElementById('lootGrid').innerHTML = '';
+}
 
-        // Create local fireball immediately for responsiveness
-        const fireball = new Fireball(
-            Date.now(),
-            myPlayer.x,
-            myPlayer.y,
-            mouseX,
-            mouseY
-        );
+// NPC shop: each offer can be bought, sold or both, in the amount entered
+function renderTrade() {
+    const trade = game.trade;
+    document.getElementById('tradePanel').style.display = 'block';
+    document.getElementById('tradeName').textContent = `Trade with ${trade.name}`;
+    document.getElementById('tradeGold').textContent = countItem(trade.currency);
+
+    const offers = document.getElementById('tradeOffers');
+    offers.replaceChildren(...trade.offers.map(offer => {
+        const item = game.items[offer.itemId];
+        const row = document.createElement('div');
+        row.className = 'trade-offer';
+
+        const name = document.createElement('span');
+        name.className = 'trade-item';
+        name.textContent = `${item.emoji} ${item.name}`;
+        name.title = describeItem(item, 1);
+        row.appendChild(name);
+
+        const addButton = (label, price, type, enabled) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'trade-btn';
+            button.textContent = price ? `${label} ${price}` : label;
+            button.disabled = !price || !enabled;
+            button.addEventListener('click', () => {
+                const count = parseInt(document.getElementById('tradeAmount').value);
+                if (!(count > 0)) return;
+                game.ws.send(JSON.stringify({ type, itemId: offer.itemId, count }));
+            });
+            row.appendChild(button);
+        };
+        addButton('Buy', offer.buy, 'npcBuy', true);
+        addButton('Sell', offer.sell, 'npcSell', countItem(offer.itemId) > 0);
+        return row;
+    }));
+}
 
-        game.fireballs.push(fireball);
-        game.lastFireball = now;
-        addLog('Cast fireball!', 'info');
-    });
+function closeTrade() {
+    game.trade = null;
+    document.getElementById('tradePanel').style.display = 'none';
+    document.getElementById('tradeOffers').replaceChildren();
 }
 
-// Check if position is walkable
-function canMoveTo(x, y) {
-    if (x < 0 || x >= CONFIG.MAP_WIDTH || y < 0 || y >= CONFIG.MAP_HEIGHT) {
-        return false;
+// Quest log: what to do next in each started quest, finished ones last
+function renderQuestLog() {
+    const list = document.getElementById('questList');
+    if (game.quests.length === 0) {
+        list.innerHTML = '<div class="stat-line">No quests yet. Talk to people in town.</div>';
+        return;
     }
-    return game.map[y][x].walkable;
+
+    const quests = game.quests.slice().sort((a, b) => a.completed - b.completed);
+    list.replaceChildren(...quests.map(quest => {
+        const entry = document.createElement('div');
+        entry.className = quest.completed ? 'quest-entry completed' : 'quest-entry';
+
+        const name = document.createElement('div');
+        name.className = 'quest-name';
+        name.textContent = quest.completed ? `${quest.name} (completed)` : quest.name;
+        entry.appendChild(name);
+
+        const stage = document.createElement('div');
+        stage.className = 'quest-stage';
+        stage.textContent = quest.progress ?
+            `${quest.description} (${quest.progress.count}/${quest.progress.required})` :
+            quest.description;
+        entry.appendChild(stage);
+        return entry;
+    }));
 }
 
-// Game loop
-function gameLoop(timestamp) {
-    // Clear canvas
-    game.ctx.clearRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+function getGroundItems(x, y) {
+    return game.groundItems.get(`${x},${y}`) || [];
+}
 
-    // Draw map
-    drawMap();
+function getTileAt(clientX, clientY) {
+    const point = screenToWorld(clientX, clientY);
+    return {
+        x: Math.floor(point.x / CONFIG.TILE_SIZE),
+        y: Math.floor(point.y / CONFIG.TILE_SIZE),
+    };
+}
+
+// Page coordinates of a mouse event to canvas pixels. The canvas may be
+// drawn scaled, so its CSS size is taken into account.
+function screenToCanvas(clientX, clientY) {
+    const rect = game.canvas.getBoundingClientRect();
+    return {
+        x: (clientX - rect.left) * (game.canvas.width / rect.width),
+        y: (clientY - rect.top) * (game.canvas.height / rect.height),
+    };
+}
+
+// Page coordinates to world pixels, through the camera
+function screenToWorld(clientX, clientY) {
+    const point = screenToCanvas(clientX, clientY);
+    return { x: point.x + game.camera.x, y: point.y + game.camera.y };
+}
+
+// World pixel under the mouse; the camera may have moved since it did
+function getMouseWorld() {
+    return { x: game.mouseX + game.camera.x, y: game.mouseY + game.camera.y };
+}
+
+// Right click opens a corpse or picks up the top item of a tile
+function useGroundItem(x, y) {
+    const items = getGroundItems(x, y);
+    const top = items[items.length - 1];
+    if (!top) return;
+
+    if (top.corpse) {
+        game.ws.send(JSON.stringify({ type: 'openCorpse', x, y, uid: top.uid }));
+    } else {
+        game.ws.send(JSON.stringify({ type: 'pickUpItem', x, y, uid: top.uid }));
+    }
+}
+
+function describeItem(item, count) {
+    const lines = [count > 1 ? `${count} ${item.name}` : item.name];
+    lines.push(`Weight: ${Math.round(item.weight * count * 100) / 100} oz`);
+    Object.entries(item.attributes).forEach(([name, value]) => {
+        lines.push(`${name.charAt(0).toUpperCase() + name.slice(1)}: ${value}`);
+    });
+    return lines.join('\n');
+}
+
+// Turn a chat line into a server message. "/y text" yells and
+// "/w Name, text" whispers; otherwise the active tab decides.
+function parseChatInput(text, tab) {
+    if (/^\/y\s/i.test(text)) {
+        return { channel: 'yell', text: text.slice(3) };
+    }
+
+    const whisper = text.match(/^\/w\s+([^,]+),\s*(.*)$/i);
+    if (whisper) {
+        return { channel: 'whisper', to: whisper[1].trim(), text: whisper[2] };
+    }
+
+    switch (tab) {
+        case 'global':
+        case 'trade':
+            return { channel: tab, text };
+        case 'private':
+            return game.chat.lastWhisper ? { channel: 'whisper', to: game.chat.lastWhisper, text } : null;
+        default:
+            return { channel: 'say', text };
+    }
+}
+
+function sendChat(text) {
+    text = text.trim();
+    if (!text || !game.connected) return;
+
+    const chat = parseChatInput(text, game.chat.activeTab);
+    if (!chat) {
+        addChatLine('private', 'Start a conversation with /w Name, message', 'info');
+        return;
+    }
+
+    game.ws.send(JSON.stringify({ type: 'chat', ...chat }));
+}
+
+// Show a chat message from the server in its tab and above the speaker
+function receiveChat(message) {
+    const myName = game.players.get(game.myPlayerId).name;
+
+    switch (message.channel) {
+        case 'say':
+        case 'yell': {
+            const verb = message.channel === 'yell' ? ' yells' : '';
+            const isNpc = message.npcId !== undefined;
+            addChatLine('local', `${message.from}${verb}: ${message.text}`, isNpc ? 'npc' : message.channel);
+
+            const speaker = isNpc ? game.npcs.get(message.npcId) : game.players.get(message.playerId);
+            if (speaker) {
+                speaker.say(message.text, message.channel === 'yell');
+            }
+            break;
+        }
+
+        case 'whisper':
+            if (message.from === myName) {
+                game.chat.lastWhisper = message.to;
+                addChatLine('private', `To ${message.to}: ${message.text}`, 'whisper');
+            } else {
+                game.chat.lastWhisper = message.from;
+                addChatLine('private', `From ${message.from}: ${message.text}`, 'whisper');
+            }
+            break;
+
+        default:
+            addChatLine(message.channel, `${message.from}: ${message.text}`, 'channel');
+    }
+}
+
+function addChatLine(tab, text, type) {
+    const lines = game.chat.tabs[tab];
+    if (!lines) return;
+
+    const line = { text: `[${new Date().toLocaleTimeString()}] ${text}`, type };
+    lines.push(line);
+    if (lines.length > CONFIG.CHAT_HISTORY) {
+        lines.shift();
+    }
+
+    if (tab === game.chat.activeTab) {
+        const messages = document.getElementById('chatMessages');
+        messages.appendChild(createChatLineElement(line));
+        while (messages.children.length > CONFIG.CHAT_HISTORY) {
+            messages.removeChild(messages.firstChild);
+        }
+        messages.scrollTop = messages.scrollHeight;
+    } else {
+        document.querySelector(`.chat-tab[data-tab="${tab}"]`).classList.add('unread');
+    }
+}
+
+function createChatLineElement(line) {
+    const entry = document.createElement('div');
+    entry.className = `chat-line ${line.type}`;
+    entry.textContent = line.text;
+    return entry;
+}
+
+function switchChatTab(tab) {
+    game.chat.activeTab = tab;
+    document.querySelectorAll('.chat-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+        if (button.dataset.tab === tab) {
+            button.classList.remove('unread');
+        }
+    });
+    renderChatTab();
+}
+
+function renderChatTab() {
+    const messages = document.getElementById('chatMessages');
+    messages.innerHTML = '';
+    game.chat.tabs[game.chat.activeTab].forEach(line => {
+        messages.appendChild(createChatLineElement(line));
+    });
+    messages.scrollTop = messages.scrollHeight;
+}
+
+// Handle messages from server
+function handleServerMessage(message) {
+    if (message.timestamp) {
+        syncClock(message.timestamp);
+    }
+
+    switch (message.type) {
+        case 'loginFailed':
+            document.getElementById('loginError').textContent = message.reason;
+            setLoginEnabled(true);
+            break;
+
+        case 'init':
+            // Initialize game with server data. The map and everyone around
+            // us follow as mapChunk and entityEntered messages.
+            game.myPlayerId = message.playerId;
+            game.mapData = message.mapData;
+            game.creatures = message.creatures;
+            game.items = message.items;
+            game.spells = message.spells;
+            renderSpellList();
+            resizeToMap(message.mapWidth, message.mapHeight);
+            game.mapChunks.clear(); // The map arrives in chunks as we walk
+            game.fireballSpriteId = message.fireballSpriteId;
+            game.players.set(message.playerId, createPlayer(message.player));
+
+            document.getElementById('loginScreen').style.display = 'none';
+            game.running = true;
+            updatePlayerUI();
+            updateBattleList();
+            addLog(`You joined as ${game.players.get(game.myPlayerId).name}`, 'info');
+            break;
+
+        case 'playerJoined':
+            addLog(`${message.name} joined the game!`, 'info');
+            break;
+
+        case 'zoneChanged':
+            enterZone(message);
+            break;
+
+        case 'attackRejected':
+            game.target = null;
+            updateBattleList();
+            addLog(message.reason, 'info');
+            break;
+
+        case 'targetCleared':
+            if (isTargeted(message.kind, message.id)) {
+                const lost = getTargetEntity();
+                game.target = null;
+                updateBattleList();
+                // A target that died or walked off needs no explanation
+                if (lost && !lost.dead) {
+                    addLog(message.reason, 'info');
+                }
+            }
+            break;
+
+        case 'logoutRejected':
+            game.loggingOut = false;
+            addLog(message.reason, 'info');
+            break;
+
+        case 'mapChunk':
+            loadMapChunk(message);
+            break;
+
+        case 'mapChunksUnloaded':
+            unloadMapChunks(message.chunks);
+            break;
+
+        // A player or monster came within range; we hear nothing about it
+        // once it leaves again
+        case 'entityEntered':
+            if (message.kind === 'player') {
+                game.players.set(message.entity.id, createPlayer(message.entity));
+            } else if (message.kind === 'npc') {
+                game.npcs.set(message.entity.id, new Npc(message.entity));
+            } else {
+                game.monsters.set(message.entity.id, createMonster(message.entity));
+                updateBattleList();
+            }
+            break;
+
+        case 'entityLeft':
+            if (message.kind === 'player') {
+                game.players.delete(message.id);
+            } else if (message.kind === 'npc') {
+                game.npcs.delete(message.id);
+            } else {
+                game.monsters.delete(message.id);
+                updateBattleList();
+            }
+            break;
+
+        case 'chat':
+            receiveChat(message);
+            break;
+
+        case 'inventory':
+            game.inventory = message.inventory;
+            game.equipment = message.equipment;
+            renderInventory();
+            game.keyBindings.renderActionBar(); // Item counts
+            if (game.trade) {
+                renderTrade();
+            }
+            break;
+
+        case 'npcTrade':
+            game.trade = message;
+            document.getElementById('tradeAmount').value = 1;
+            renderTrade();
+            break;
+
+        case 'npcTradeClosed':
+            closeTrade();
+            break;
+
+        case 'traded': {
+            const tradedItem = game.items[message.itemId];
+            const verb = message.bought ? 'Bought' : 'Sold';
+            addLog(`${verb} ${message.count}x ${tradedItem.name} for ${message.price} gold.`, 'info');
+            break;
+        }
+
+        case 'tradeRejected':
+            addLog(message.reason, 'info');
+            break;
+
+        case 'questLog':
+            game.quests = message.quests;
+            renderQuestLog();
+            if (message.updated) {
+                addLog(`Your quest log has been updated: ${message.updated}.`, 'info');
+            }
+            break;
+
+        case 'tileItems':
+            if (message.items.length > 0) {
+                game.groundItems.set(`${message.x},${message.y}`, message.items);
+            } else {
+                game.groundItems.delete(`${message.x},${message.y}`);
+            }
+            if (game.openCorpse && !message.items.some(item => item.uid === game.openCorpse.uid) &&
+                game.openCorpse.x === message.x && game.openCorpse.y === message.y) {
+                closeCorpse();
+            }
+            break;
+
+        case 'corpseContents':
+            showCorpse(message);
+            break;
+
+        case 'itemMoveRejected':
+            addLog(message.reason, 'info');
+            break;
+
+        case 'chatRejected':
+            addChatLine(game.chat.activeTab, message.reason, 'info');
+            break;
+
+        case 'playerLeft':
+            const leftPlayer = game.players.get(message.playerId);
+            if (leftPlayer) {
+                addLog(`${leftPlayer.name} left the game`, 'info');
+                game.players.delete(message.playerId);
+            }
+            break;
+
+        case 'playerMoved':
+            // Our own steps are already walked, so they are only checked
+            const movedPlayer = game.players.get(message.playerId);
+            if (message.playerId === game.myPlayerId) {
+                reconcileMove(message, false);
+            } else if (movedPlayer) {
+                movedPlayer.addPosition(message.x, message.y, message.direction, message.duration, message.timestamp);
+            }
+            break;
+
+        case 'moveRejected':
+            reconcileMove(message, true);
+            if (message.reason === 'pz locked') {
+                addLog('You may not enter a protection zone after attacking another player.', 'damage');
+            }
+            break;
+
+        case 'fireballCast':
+            const fb = message.fireball;
+
+            // Our own cast is already predicted locally; adopt the server id
+            const predicted = fb.playerId === game.myPlayerId &&
+                game.fireballs.find(f => f.id === fb.clientFireballId);
+            if (predicted) {
+                predicted.id = fb.id;
+                break;
+            }
+
+            const fireball = new Fireball(
+                fb.id,
+                fb.startX,
+                fb.startY,
+                fb.targetX,
+                fb.targetY,
+                fb.spriteId,
+                fb.playerId
+            );
+            // Cast out of our sight; it is already on its way
+            if (fb.x !== undefined) {
+                fireball.x = fb.x;
+                fireball.y = fb.y;
+            }
+            game.fireballs.push(fireball);
+            break;
+
+        case 'fireballEnded':
+            game.fireballs.forEach(f => {
+                if (f.id === message.fireballId) f.active = false;
+            });
+            break;
+
+        case 'spellEffect':
+            game.effects.push({
+                emoji: message.emoji,
+                tiles: message.tiles,
+                until: Date.now() + CONFIG.EFFECT_DURATION,
+            });
+            break;
+
+        case 'spellRejected':
+            addLog(message.reason, 'info');
+            break;
+
+        case 'playerHealed': {
+            const healedPlayer = game.players.get(message.playerId);
+            if (healedPlayer) {
+                healedPlayer.health = message.health;
+                if (message.playerId === game.myPlayerId) {
+                    addLog(`You heal ${message.amount} health.`, 'info');
+                    updatePlayerUI();
+                }
+            }
+            break;
+        }
+
+        case 'fireballRejected':
+            game.fireballs.forEach(f => {
+                if (f.id === message.clientFireballId) f.active = false;
+            });
+            addLog(`Fireball failed: ${message.reason}`, 'info');
+            break;
+
+        case 'monsterMoved':
+            const monster = game.monsters.get(message.monsterId);
+            if (monster) {
+                monster.addPosition(message.x, message.y, message.direction, message.duration, message.timestamp);
+            }
+            break;
+
+        case 'monsterStateChanged':
+            const changedMonster = game.monsters.get(message.monsterId);
+            if (changedMonster) {
+                changedMonster.state = message.state;
+            }
+            updateBattleList();
+            break;
+
+        case 'monsterDamaged':
+            const damagedMonster = game.monsters.get(message.monsterId);
+            if (damagedMonster) {
+                damagedMonster.health = message.health;
+                addLog(`${damagedMonster.name} takes ${message.damage} damage!`, 'damage');
+            }
+            updateBattleList();
+            break;
+
+        case 'monsterDied':
+            const deadMonster = game.monsters.get(message.monsterId);
+            game.monsters.delete(message.monsterId);
+            addLog(`${deadMonster ? deadMonster.name : 'Monster'} defeated!`, 'info');
+            updateBattleList();
+            break;
+
+        case 'playerDamaged':
+            const damagedPlayer = game.players.get(message.playerId);
+            if (damagedPlayer) {
+                damagedPlayer.health = message.health;
+                if (message.playerId === game.myPlayerId) {
+                    addLog(`You take ${message.damage} damage!`, 'damage');
+                    updatePlayerUI();
+                }
+            }
+            break;
+
+        case 'playerStats':
+            game.stats = message.stats;
+            const statsPlayer = game.players.get(game.myPlayerId);
+            if (statsPlayer) {
+                statsPlayer.health = message.stats.health;
+                statsPlayer.maxHealth = message.stats.maxHealth;
+            }
+            updatePlayerUI();
+            break;
+
+        case 'experienceGained':
+            addLog(`You gained ${message.amount} experience points.`, 'heal');
+            break;
+
+        case 'skillAdvanced':
+            addLog(`You advanced to ${message.skill} level ${message.level}.`, 'heal');
+            break;
+
+        case 'playerLevelChanged':
+            const levelPlayer = game.players.get(message.playerId);
+            if (levelPlayer) {
+                levelPlayer.level = message.level;
+                levelPlayer.health = message.health;
+                levelPlayer.maxHealth = message.maxHealth;
+            }
+
+            if (message.playerId === game.myPlayerId) {
+                const advanced = message.level > message.oldLevel;
+                addLog(
+                    `You ${advanced ? 'advanced' : 'were downgraded'} from level ${message.oldLevel} to level ${message.level}.`,
+                    advanced ? 'heal' : 'damage'
+                );
+            }
+            break;
+
+        case 'playerDied':
+            const deadPlayer = game.players.get(message.playerId);
+            if (deadPlayer) {
+                deadPlayer.dead = true;
+                deadPlayer.placeAt(message.x, message.y);
+            }
+
+            if (message.playerId === game.myPlayerId) {
+                gameOver(message.respawnDelay);
+            } else if (deadPlayer) {
+                addLog(`${deadPlayer.name} was killed${message.killerName ? ` by ${message.killerName}` : ''}!`, 'damage');
+            }
+            break;
+
+        case 'playerSkull':
+            const skulledPlayer = game.players.get(message.playerId);
+            if (skulledPlayer) {
+                skulledPlayer.skull = message.skull;
+                skulledPlayer.frags = message.frags;
+            }
+            if (message.playerId === game.myPlayerId) {
+                updatePlayerUI();
+            }
+            break;
+
+        case 'fragged':
+            addLog(`Warning! The murder of ${message.victimName} was not justified. (${message.frags} frags)`, 'damage');
+            break;
+
+        case 'playerRespawned':
+            const respawnedPlayer = game.players.get(message.playerId);
+            if (respawnedPlayer) {
+                respawnedPlayer.dead = false;
+                respawnedPlayer.placeAt(message.x, message.y);
+                respawnedPlayer.health = message.health;
+                respawnedPlayer.maxHealth = message.maxHealth;
+            }
+
+            if (message.playerId === game.myPlayerId) {
+                resetPrediction();
+                respawn();
+            }
+            break;
+    }
+}
+
+// Initialize game
+function init() {
+    game.canvas = document.getElementById('gameCanvas');
+    game.ctx = game.canvas.getContext('2d');
+
+    game.canvas.width = CONFIG.CANVAS_WIDTH;
+    game.canvas.height = CONFIG.CANVAS_HEIGHT;
+
+    setupInput();
+    setupLogin();
+    setupChat();
+    setupInventory();
+    connectToServer();
+
+    requestAnimationFrame(gameLoop);
+}
+
+// Use the map size sent by the server; the canvas keeps its viewport size
+function resizeToMap(width, height) {
+    CONFIG.MAP_WIDTH = width;
+    CONFIG.MAP_HEIGHT = height;
+}
+
+// Setup keyboard and mouse input
+function setupInput() {
+    game.keyBindings = new KeyBindings({
+        storageKey: 'tibiaClone.multiplayer.keys',
+        actions: [
+            'moveNorth', 'moveSouth', 'moveWest', 'moveEast',
+            'moveNorthWest', 'moveNorthEast', 'moveSouthWest', 'moveSouthEast',
+            'melee', 'chat',
+        ],
+        defaultBar: {}, // Filled with spells once the server sends them
+        allowText: true,
+        getChoices: getActionBarChoices,
+        describe: describeActionBarEntry,
+        onAction: handleAction,
+        onUse: useActionBarEntry,
+        entryFromDrop: (dataTransfer) => {
+            const entry = getItemAt(JSON.parse(dataTransfer.getData('text/plain')));
+            return entry ? { type: 'item', itemId: entry.itemId } : null;
+        },
+    });
+    game.keyBindings.attach();
+    game.keyBindings.renderActionBar(document.getElementById('actionBar'));
+    game.movement = new KeyBindings.MovementController(game.keyBindings);
+
+    document.addEventListener('keydown', (e) => {
+        if (e.target.tagName === 'INPUT') return;
+
+        game.keys[e.key.toLowerCase()] = true;
+    });
+
+    document.addEventListener('keyup', (e) => {
+        game.keys[e.key.toLowerCase()] = false;
+    });
+
+    game.canvas.addEventListener('mousemove', (e) => {
+        const point = screenToCanvas(e.clientX, e.clientY);
+        game.mouseX = point.x;
+        game.mouseY = point.y;
+    });
+
+    game.canvas.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        if (!game.running || !game.myPlayerId) return;
+
+        const tile = getTileAt(e.clientX, e.clientY);
+        useGroundItem(tile.x, tile.y);
+    });
+
+    // Dragging the top item of a tile onto another tile moves it there
+    game.canvas.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return;
+
+        const tile = getTileAt(e.clientX, e.clientY);
+        const items = getGroundItems(tile.x, tile.y);
+        const top = items[items.length - 1];
+        game.groundDrag = top && !top.corpse ? { x: tile.x, y: tile.y, uid: top.uid, moved: false } : null;
+    });
+
+    game.canvas.addEventListener('mouseup', (e) => {
+        const drag = game.groundDrag;
+        if (!drag || e.button !== 0) return;
+
+        const tile = getTileAt(e.clientX, e.clientY);
+        if (tile.x !== drag.x || tile.y !== drag.y) {
+            drag.moved = true;
+            game.ws.send(JSON.stringify({
+                type: 'moveGroundItem',
+                x: drag.x,
+                y: drag.y,
+                uid: drag.uid,
+                toX: tile.x,
+                toY: tile.y,
+            }));
+        }
+    });
+
+    // Inventory items dropped on the map land on that tile
+    game.canvas.addEventListener('dragover', (e) => e.preventDefault());
+    game.canvas.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const from = JSON.parse(e.dataTransfer.getData('text/plain'));
+        const entry = getItemAt(from);
+        if (!entry || from.type === 'corpse') return;
+
+        let count;
+        if (e.shiftKey && entry.count > 1) {
+            count = parseInt(prompt('How many?', entry.count));
+            if (!(count > 0)) return;
+        }
+        const tile = getTileAt(e.clientX, e.clientY);
+        game.ws.send(JSON.stringify({ type: 'dropItem', from, x: tile.x, y: tile.y, count }));
+    });
+
+    game.canvas.addEventListener('click', (e) => {
+        if (!game.running || !game.myPlayerId) return;
+
+        // The mouse was released after dragging a ground item, not aimed
+        if (game.groundDrag && game.groundDrag.moved) {
+            game.groundDrag = null;
+            return;
+        }
+
+        // Clicking a creature or player targets it, anywhere else aims a fireball
+        const tile = getTileAt(e.clientX, e.clientY);
+        const found = getEntityAt(tile.x, tile.y);
+        if (found) {
+            toggleTarget(found.kind, found.entity);
+            return;
+        }
+
+        const point = screenToWorld(e.clientX, e.clientY);
+        castFireball(point.x, point.y);
+    });
+
+    document.querySelectorAll('.combat-mode-btn').forEach(button => {
+        button.addEventListener('click', () => setCombatMode(button.dataset.mode));
+    });
+    setCombatMode(localStorage.getItem(CONFIG.COMBAT_MODE_KEY) || 'stand');
+}
+
+// Cast a fireball towards a point in world pixels
+function castFireball(mouseX, mouseY) {
+    if (!game.running || !game.myPlayerId) return;
+
+    const now = Date.now();
+    const spell = game.spells.fireball;
+    if (now - game.lastFireball < spell.cooldown) {
+        addLog('Fireball on cooldown!', 'info');
+        return;
+    }
+    if (game.stats && game.stats.mana < spell.mana) {
+        addLog('You do not have enough mana.', 'info');
+        return;
+    }
+
+    const myPlayer = game.players.get(game.myPlayerId);
+    const clientFireballId = now;
+
+    // Send fireball to server
+    game.ws.send(JSON.stringify({
+        type: 'fireball',
+        targetX: mouseX,
+        targetY: mouseY,
+        clientFireballId: clientFireballId,
+    }));
+
+    // Create local fireball immediately for responsiveness
+    const fireball = new Fireball(
+        clientFireballId,
+        myPlayer.x,
+        myPlayer.y,
+        mouseX,
+        mouseY,
+        game.fireballSpriteId,
+        game.myPlayerId
+    );
+
+    game.fireballs.push(fireball);
+    game.lastFireball = now;
+    addLog('Cast fireball!', 'info');
+}
+
+// Movement, melee and chat from the key bindings
+function handleAction(action) {
+    if (!game.running || !game.myPlayerId) return;
+
+    const myPlayer = game.players.get(game.myPlayerId);
+    if (!myPlayer) return;
+
+    if (KeyBindings.MOVE_DIRECTIONS[action]) {
+        game.movement.queue(action);
+    } else if (action === 'melee') {
+        // Target a monster next to us, or in a PvP zone another player
+        const isAdjacent = entity => !entity.dead &&
+            Math.max(Math.abs(entity.x - myPlayer.x), Math.abs(entity.y - myPlayer.y)) === 1;
+        const monster = Array.from(game.monsters.values()).find(isAdjacent);
+        const player = game.zone && game.zone.pvp && Array.from(game.players.values()).find(isAdjacent);
+        if (monster) {
+            setTarget({ kind: 'monster', id: monster.id });
+        } else if (player) {
+            setTarget({ kind: 'player', id: player.id });
+        }
+    } else if (action === 'chat') {
+        document.getElementById('chatInput').focus();
+    }
+}
+
+// The creature, or another player, drawn on a tile
+function getEntityAt(x, y) {
+    const isHere = entity => {
+        const position = entity.getDrawPosition();
+        return !entity.dead && Math.round(position.x) === x && Math.round(position.y) === y;
+    };
+    const monster = Array.from(game.monsters.values()).find(isHere);
+    if (monster) {
+        return { kind: 'monster', entity: monster };
+    }
+    const player = Array.from(game.players.values())
+        .find(other => other.id !== game.myPlayerId && isHere(other));
+    return player ? { kind: 'player', entity: player } : null;
+}
+
+function isTargeted(kind, id) {
+    return !!game.target && game.target.kind === kind && game.target.id === id;
+}
+
+function getTargetEntity() {
+    if (!game.target) return null;
+    const entities = game.target.kind === 'player' ? game.players : game.monsters;
+    return entities.get(game.target.id) || null;
+}
+
+// Tell the server what to auto-attack, or null to stop attacking
+function setTarget(target) {
+    game.target = target;
+    const message = { type: 'setTarget' };
+    if (target) {
+        message[target.kind === 'player' ? 'playerId' : 'monsterId'] = target.id;
+    }
+    game.ws.send(JSON.stringify(message));
+    updateBattleList();
+}
+
+// Selecting the current target again clears it
+function toggleTarget(kind, entity) {
+    setTarget(isTargeted(kind, entity.id) ? null : { kind, id: entity.id });
+}
+
+function setCombatMode(mode) {
+    game.combatMode = mode === 'chase' ? 'chase' : 'stand';
+    localStorage.setItem(CONFIG.COMBAT_MODE_KEY, game.combatMode);
+    document.querySelectorAll('.combat-mode-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === game.combatMode);
+    });
+}
+
+// In chase mode, the step that brings us closer to the target. Walking
+// straight at it is enough for the short distances of a visible target.
+function getChaseDirection() {
+    const myPlayer = game.players.get(game.myPlayerId);
+    const target = getTargetEntity();
+    if (game.combatMode !== 'chase' || !myPlayer || !target || target.dead) return null;
+
+    const dx = target.x - myPlayer.x;
+    const dy = target.y - myPlayer.y;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) <= 1) return null;
+
+    const x = Math.sign(dx);
+    const y = Math.sign(dy);
+    return [{ x, y }, { x, y: 0 }, { x: 0, y }]
+        .find(direction => (direction.x !== 0 || direction.y !== 0) &&
+            canMoveTo(myPlayer.x + direction.x, myPlayer.y + direction.y)) || null;
+}
+
+// Take one step for the movement controller, returning how long it takes
+// or 0 if the way is blocked
+function stepTo(direction) {
+    const myPlayer = game.players.get(game.myPlayerId);
+    if (!game.running || !myPlayer || myPlayer.dead) return 0;
+
+    const newX = myPlayer.x + direction.x;
+    const newY = myPlayer.y + direction.y;
+    if (!canMoveTo(newX, newY)) return 0;
+
+    // Optimistic update, remembered until the server answers
+    const duration = getStepDuration(direction.x !== 0 && direction.y !== 0);
+    myPlayer.walkTo(newX, newY, duration);
+    const seq = ++game.moveSeq;
+    game.pendingMoves.push({ seq, x: newX, y: newY });
+
+    // Send to server
+    game.ws.send(JSON.stringify({
+        type: 'move',
+        x: newX,
+        y: newY,
+        seq: seq,
+    }));
+
+    updatePlayerUI();
+    return duration;
+}
+
+// Check our predicted position against the server's answer to a step.
+// A rejected step means every step sent after it was walked from the wrong
+// tile, so those are dropped and we snap back; their answers still arrive
+// and move us to wherever the server ended up.
+function reconcileMove(message, rejected) {
+    const myPlayer = game.players.get(game.myPlayerId);
+    if (!myPlayer) return;
+
+    game.pendingMoves = game.pendingMoves.filter(move => move.seq > message.seq);
+    if (rejected && message.seq > game.correctedSeq) {
+        resetPrediction();
+        game.movement.stop();
+    }
+
+    // Steps still waiting for an answer carry on from our predicted tile
+    if (game.pendingMoves.length === 0 && (myPlayer.x !== message.x || myPlayer.y !== message.y)) {
+        myPlayer.placeAt(message.x, message.y);
+        updatePlayerUI();
+    }
+}
+
+// Forget predicted steps, e.g. after a correction or a respawn
+function resetPrediction() {
+    game.pendingMoves = [];
+    game.correctedSeq = game.moveSeq;
+}
+
+// Track the server clock from message timestamps. The largest offset seen
+// is the one from the fastest message, so positions are replayed at a
+// steady delay instead of jittering with latency.
+function syncClock(serverTime) {
+    const offset = serverTime - Date.now();
+    if (game.clockOffset === null || offset > game.clockOffset) {
+        game.clockOffset = offset;
+    }
+}
+
+// Server time to our clock
+function toLocalTime(serverTime) {
+    return serverTime - (game.clockOffset || 0);
+}
+
+// Facing after a step, same rule as getDirection() on the server
+function getDirection(dx, dy, current) {
+    if (dx !== 0) return dx > 0 ? 'east' : 'west';
+    if (dy !== 0) return dy > 0 ? 'south' : 'north';
+    return current;
+}
+
+// Same formula as getStepDuration() on the server
+function getStepDuration(diagonal) {
+    const speed = game.stats ? game.stats.speed : CONFIG.BASE_SPEED;
+    const duration = CONFIG.STEP_SPEED_SCALE / Math.max(1, speed);
+    return Math.round(diagonal ? duration * CONFIG.DIAGONAL_STEP_FACTOR : duration);
+}
+
+// Spells and items that can go on the action bar
+function getActionBarChoices() {
+    const spells = Object.entries(game.spells)
+        .filter(([, spell]) => spell.type !== 'rune')
+        .map(([spellId, spell]) => ({ label: spell.name, entry: { type: 'spell', spellId } }));
+    const items = Object.entries(game.items)
+        .map(([itemId, item]) => ({ label: item.name, entry: { type: 'item', itemId } }));
+    return spells.concat(items);
+}
+
+function describeActionBarEntry(entry) {
+    switch (entry.type) {
+        case 'spell': {
+            const spell = game.spells[entry.spellId];
+            if (!spell) return { icon: '?', title: entry.spellId };
+            const words = spell.words ? ` "${spell.words}"` : '';
+            return { icon: spell.emoji, title: `${spell.name}${words} (${spell.mana} mana)` };
+        }
+        case 'item': {
+            const item = game.items[entry.itemId];
+            if (!item) return { icon: '?', title: entry.itemId };
+            return { icon: item.emoji, title: item.name, count: countItem(entry.itemId) };
+        }
+        default:
+            return { icon: '💬', title: `Say "${entry.text}"` };
+    }
+}
+
+function countItem(itemId) {
+    return game.inventory.reduce((total, entry) =>
+        total + (entry && entry.itemId === itemId ? entry.count : 0), 0);
+}
+
+// Spells are cast, runes are aimed at the tile under the mouse, equipment is
+// put on or taken off and chat text is said in the active tab
+function useActionBarEntry(entry) {
+    if (!game.running) return;
+
+    switch (entry.type) {
+        case 'spell':
+            if (entry.spellId === 'fireball') {
+                const target = getMouseWorld();
+                castFireball(target.x, target.y);
+            } else if (game.spells[entry.spellId]) {
+                castSpellAtMouse(entry.spellId);
+            }
+            break;
+
+        case 'item': {
+            const item = game.items[entry.itemId];
+            const rune = Object.keys(game.spells).find(id => game.spells[id].rune === entry.itemId);
+            const equipped = item && item.slot && game.equipment[item.slot];
+            const index = game.inventory.findIndex(slot => slot && slot.itemId === entry.itemId);
+
+            if (rune) {
+                castSpellAtMouse(rune);
+            } else if (equipped && equipped.itemId === entry.itemId) {
+                sendMoveItem({ type: 'equipment', slot: item.slot }, { type: 'backpack' });
+            } else if (item && item.slot && index !== -1) {
+                sendMoveItem({ type: 'backpack', index }, { type: 'equipment', slot: item.slot });
+            } else {
+                addLog(index === -1 ? 'You do not have that item.' : 'You cannot use this item.', 'info');
+            }
+            break;
+        }
+
+        case 'text':
+            sendChat(entry.text);
+            break;
+    }
+}
+
+// Instant spells need no target; runes go on the tile under the mouse
+function castSpellAtMouse(spellId) {
+    const spell = game.spells[spellId];
+    const message = { type: 'castSpell', spellId };
+    if (spell.type === 'rune') {
+        const target = getMouseWorld();
+        message.x = Math.floor(target.x / CONFIG.TILE_SIZE);
+        message.y = Math.floor(target.y / CONFIG.TILE_SIZE);
+    }
+    game.ws.send(JSON.stringify(message));
+}
+
+// Spells panel listing every spell, which the default action bar puts on
+// the number keys
+function renderSpellList() {
+    const defaultBar = {};
+    Object.keys(game.spells)
+        .filter(id => game.spells[id].type === 'instant')
+        .slice(0, 9)
+        .forEach((spellId, index) => {
+            defaultBar[index + 1] = { type: 'spell', spellId };
+        });
+    Object.values(game.spells)
+        .filter(spell => spell.type === 'rune')
+        .slice(0, 12)
+        .forEach((spell, index) => {
+            defaultBar[`F${index + 1}`] = { type: 'item', itemId: spell.rune };
+        });
+    game.keyBindings.setDefaultBar(defaultBar);
+
+    const list = document.getElementById('spellList');
+    list.innerHTML = '';
+    Object.values(game.spells).forEach(spell => {
+        const line = document.createElement('div');
+        line.className = 'spell-line';
+
+        let howToCast = 'click';
+        if (spell.type === 'instant') {
+            howToCast = `"${spell.words}"`;
+        } else if (spell.type === 'rune') {
+            howToCast = game.items[spell.rune].name;
+        }
+        line.textContent = `${spell.emoji} ${spell.name} - ${howToCast}, ` +
+            `${spell.mana} mana, level ${spell.level}`;
+        list.appendChild(line);
+    });
+}
+
+// Check if position is walkable and not occupied
+function canMoveTo(x, y) {
+    if (x < 0 || x >= CONFIG.MAP_WIDTH || y < 0 || y >= CONFIG.MAP_HEIGHT) {
+        return false;
+    }
+    // Tiles of chunks not received yet are never walkable
+    const tile = getMapTile(x, y);
+    if (!tile || !tile.walkable) {
+        return false;
+    }
+
+    const isOccupied = entity => !entity.dead && entity.x === x && entity.y === y;
+    return !Array.from(game.monsters.values()).some(isOccupied) &&
+        !Array.from(game.npcs.values()).some(isOccupied) &&
+        !Array.from(game.players.values()).some(isOccupied);
+}
+
+// Game loop
+function gameLoop(timestamp) {
+    const now = Date.now();
+    game.movement.update(now, stepTo, getChaseDirection);
+    if (now >= game.nextBattleListAt) {
+        game.nextBattleListAt = now + CONFIG.BATTLE_LIST_INTERVAL;
+        updateBattleList();
+    }
+
+    // Clear canvas
+    game.ctx.clearRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+
+    if (game.mapChunks.size === 0) {
+        // Draw loading message
+        game.ctx.fillStyle = '#fff';
+        game.ctx.font = '20px Arial';
+        game.ctx.textAlign = 'center';
+        game.ctx.fillText('Connecting to server...', CONFIG.CANVAS_WIDTH / 2, CONFIG.CANVAS_HEIGHT / 2);
+        requestAnimationFrame(gameLoop);
+        return;
+    }
+
+    // Everything below is drawn in world pixels, shifted by the camera
+    updateCamera();
+    const view = getVisibleTiles();
+    game.ctx.save();
+    game.ctx.translate(-game.camera.x, -game.camera.y);
+
+    // Draw map
+    drawMap(view);
+    drawGroundItems(view);
 
     // Update and draw fireballs
     for (let i = game.fireballs.length - 1; i >= 0; i--) {
@@ -466,45 +1960,197 @@ function gameLoop(timestamp) {
         }
     }
 
-    // Draw monsters
+    // Draw monsters and NPCs
     game.monsters.forEach(monster => {
-        monster.draw(game.ctx);
+        if (isEntityVisible(monster, view)) {
+            monster.draw(game.ctx);
+        }
     });
+    game.npcs.forEach(npc => {
+        if (isEntityVisible(npc, view)) {
+            npc.draw(game.ctx);
+        }
+    });
+
+    drawEffects(view);
+    drawTargetHighlight();
 
     // Draw players
     game.players.forEach((player, playerId) => {
         const isLocalPlayer = playerId === game.myPlayerId;
-        player.draw(game.ctx, isLocalPlayer);
+        if (isLocalPlayer || isEntityVisible(player, view)) {
+            player.draw(game.ctx, isLocalPlayer);
+        }
     });
 
+    game.ctx.restore();
     requestAnimationFrame(gameLoop);
 }
 
-// Draw the map
-function drawMap() {
-    if (!game.map || game.map.length === 0) {
-        // Draw loading message
-        game.ctx.fillStyle = '#fff';
-        game.ctx.font = '20px Arial';
-        game.ctx.textAlign = 'center';
-        game.ctx.fillText('Connecting to server...', CONFIG.CANVAS_WIDTH / 2, CONFIG.CANVAS_HEIGHT / 2);
-        return;
+// Red square around the attack target
+function drawTargetHighlight() {
+    const target = getTargetEntity();
+    if (!target || target.dead) return;
+
+    const position = target.getDrawPosition();
+    game.ctx.strokeStyle = '#ff0000';
+    game.ctx.lineWidth = 2;
+    game.ctx.strokeRect(
+        position.x * CONFIG.TILE_SIZE + 1,
+        position.y * CONFIG.TILE_SIZE + 1,
+        CONFIG.TILE_SIZE - 2,
+        CONFIG.TILE_SIZE - 2
+    );
+}
+
+// Keep the local player in the middle of the canvas. Near the map edge the
+// view shows past it, as in Tibia, rather than moving the player off center.
+function updateCamera() {
+    const myPlayer = game.players.get(game.myPlayerId);
+    if (!myPlayer) return;
+
+    const position = myPlayer.getDrawPosition();
+    game.camera.x = Math.round((position.x + 0.5) * CONFIG.TILE_SIZE - CONFIG.CANVAS_WIDTH / 2);
+    game.camera.y = Math.round((position.y + 0.5) * CONFIG.TILE_SIZE - CONFIG.CANVAS_HEIGHT / 2);
+}
+
+// Tile range on the canvas, inclusive and clamped to the map. A tile is
+// partly visible at each edge while the camera slides between tiles.
+function getVisibleTiles() {
+    const startX = Math.floor(game.camera.x / CONFIG.TILE_SIZE);
+    const startY = Math.floor(game.camera.y / CONFIG.TILE_SIZE);
+    return {
+        startX: Math.max(0, startX),
+        startY: Math.max(0, startY),
+        endX: Math.min(CONFIG.MAP_WIDTH - 1, startX + CONFIG.VIEWPORT_WIDTH),
+        endY: Math.min(CONFIG.MAP_HEIGHT - 1, startY + CONFIG.VIEWPORT_HEIGHT),
+    };
+}
+
+function isTileVisible(x, y, view) {
+    return x >= view.startX && x <= view.endX && y >= view.startY && y <= view.endY;
+}
+
+// Entities are checked at their tile and the one they are walking from
+function isEntityVisible(entity, view) {
+    const position = entity.getDrawPosition();
+    return isTileVisible(Math.floor(position.x), Math.floor(position.y), view) ||
+        isTileVisible(Math.ceil(position.x), Math.ceil(position.y), view);
+}
+
+// Draw the visible part of the map
+function drawMap(view) {
+    for (let y = view.startY; y <= view.endY; y++) {
+        for (let x = view.startX; x <= view.endX; x++) {
+            if (!drawTileSprites(x, y)) {
+                drawTileEmoji(x, y);
+            }
+        }
     }
+}
 
-    for (let y = 0; y < CONFIG.MAP_HEIGHT; y++) {
-        for (let x = 0; x < CONFIG.MAP_WIDTH; x++) {
-            const tile = game.map[y][x];
+// Draw each layer's sprite for a tile, bottom layer first.
+// Returns false if the tile has no loaded sprite so the emoji is used instead.
+function drawTileSprites(x, y) {
+    if (!game.mapData) return false;
+
+    let drawn = false;
+    game.mapData.layers.forEach((layer, index) => {
+        if (layer.visible === false) return;
+
+        const tile = getLayerTile(index, x, y);
+        const sprite = tile ? getSprite(tile.spriteId) : null;
+        if (sprite) {
+            game.ctx.drawImage(
+                sprite,
+                x * CONFIG.TILE_SIZE,
+                y * CONFIG.TILE_SIZE,
+                CONFIG.TILE_SIZE,
+                CONFIG.TILE_SIZE
+            );
+            drawn = true;
+        }
+    });
+    return drawn;
+}
 
-            game.ctx.font = '28px Arial';
-            game.ctx.textAlign = 'center';
-            game.ctx.textBaseline = 'middle';
+// Draw each spell effect's emoji on its visible tiles until it expires
+function drawEffects(view) {
+    const now = Date.now();
+    game.effects = game.effects.filter(effect => effect.until > now);
+
+    game.ctx.font = '24px Arial';
+    game.ctx.textAlign = 'center';
+    game.ctx.textBaseline = 'middle';
+    game.effects.forEach(effect => {
+        game.ctx.globalAlpha = (effect.until - now) / CONFIG.EFFECT_DURATION;
+        effect.tiles.forEach(tile => {
+            if (!isTileVisible(tile.x, tile.y, view)) return;
             game.ctx.fillText(
-                tile.emoji,
-                x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2,
-                y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2
+                effect.emoji,
+                tile.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2,
+                tile.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2
             );
+        });
+    });
+    game.ctx.globalAlpha = 1;
+}
+
+// Draw the top item of every visible tile, corpses as their faded creature
+function drawGroundItems(view) {
+    const ctx = game.ctx;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    game.groundItems.forEach((items, key) => {
+        const [x, y] = key.split(',').map(Number);
+        if (!isTileVisible(x, y, view)) return;
+
+        const top = items[items.length - 1];
+        const centerX = x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+        const centerY = y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+
+        ctx.save();
+        if (top.corpse) {
+            const creature = game.creatures[top.creatureType];
+            ctx.globalAlpha = 0.6;
+            ctx.translate(centerX, centerY);
+            ctx.rotate(Math.PI / 2);
+            ctx.font = '22px Arial';
+            ctx.fillText(creature ? creature.emoji : '💀', 0, 0);
+        } else {
+            const item = game.items[top.itemId];
+            const sprite = getSprite(item.spriteId);
+            if (sprite) {
+                ctx.drawImage(sprite, x * CONFIG.TILE_SIZE, y * CONFIG.TILE_SIZE, CONFIG.TILE_SIZE, CONFIG.TILE_SIZE);
+            } else {
+                ctx.font = '20px Arial';
+                ctx.fillText(item.emoji, centerX, centerY);
+            }
+            if (top.count > 1) {
+                ctx.font = 'bold 10px Arial';
+                ctx.fillStyle = '#fff';
+                ctx.textAlign = 'right';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(top.count, (x + 1) * CONFIG.TILE_SIZE - 1, (y + 1) * CONFIG.TILE_SIZE);
+            }
         }
-    }
+        ctx.restore();
+    });
+}
+
+function drawTileEmoji(x, y) {
+    const tile = getMapTile(x, y);
+    if (!tile) return;
+
+    game.ctx.font = '28px Arial';
+    game.ctx.textAlign = 'center';
+    game.ctx.textBaseline = 'middle';
+    game.ctx.fillText(
+        tile.emoji,
+        x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2,
+        y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2
+    );
 }
 
 // Update UI
@@ -518,29 +2164,85 @@ function updatePlayerUI() {
         `${myPlayer.health} / ${myPlayer.maxHealth}`;
     document.getElementById('playerPos').textContent =
         `${myPlayer.x}, ${myPlayer.y}`;
-    document.getElementById('playerDamage').textContent = '8-12 (melee) / 15 (fire)';
+    document.getElementById('playerSkull').textContent =
+        `${myPlayer.skull ? `${SKULL_ICONS[myPlayer.skull]} ${myPlayer.skull}` : 'none'}, ${myPlayer.frags} frags`;
+
+    // Walking away from an open corpse closes it
+    const corpse = game.openCorpse;
+    if (corpse && Math.max(Math.abs(corpse.x - myPlayer.x), Math.abs(corpse.y - myPlayer.y)) > 1) {
+        closeCorpse();
+    }
+
+    const stats = game.stats;
+    if (!stats) return;
+
+    const levelProgress = (stats.experience - stats.experienceForLevel) /
+        (stats.experienceForNextLevel - stats.experienceForLevel) * 100;
+    document.getElementById('playerLevel').textContent = stats.level;
+    document.getElementById('playerExpFill').style.width = levelProgress + '%';
+    document.getElementById('playerExpText').textContent =
+        `${stats.experience} / ${stats.experienceForNextLevel} XP`;
+    document.getElementById('playerMana').textContent = `${stats.mana} / ${stats.maxMana}`;
+    document.getElementById('playerArmor').textContent = `${stats.armor} armor, ${stats.defense} defense`;
+    document.getElementById('playerSpeed').textContent = stats.speed;
+    document.getElementById('playerCapacity').textContent =
+        `${Math.round((stats.capacity - stats.weight) * 100) / 100} / ${stats.capacity} oz free`;
+    document.getElementById('playerSkills').textContent = stats.skills
+        .map(skill => `${skill.name} ${skill.level} (${skill.percent}%)`)
+        .join(', ');
+    document.getElementById('playerDamage').textContent =
+        `${stats.meleeDamage.min}-${stats.meleeDamage.max} (melee, every ${stats.attackSpeed / 1000}s) / ` +
+        `${stats.fireballDamage.min}-${stats.fireballDamage.max} (fire)`;
+    document.getElementById('playerBuffs').textContent = stats.buffs.length === 0 ? '-' : stats.buffs
+        .map(buff => `${game.spells[buff.spellId].name} (+${buff.amount} ${buff.attribute})`)
+        .join(', ');
 }
 
-function updateMonsterUI() {
-    const monsterCount = game.monsters.size;
+// Battle list: creatures and players on screen, click one to target it
+function updateBattleList() {
+    const list = document.getElementById('battleList');
+    if (!game.myPlayerId || game.mapChunks.size === 0) {
+        list.replaceChildren();
+        return;
+    }
 
-    if (monsterCount === 0) {
-        document.getElementById('monsterHealthFill').style.width = '0%';
-        document.getElementById('monsterHealthText').textContent = 'No monsters';
-        document.getElementById('monsterPos').textContent = '-';
-        document.getElementById('monsterStatus').textContent = `${monsterCount} alive`;
+    // Everything on screen, nearest first
+    const myPlayer = game.players.get(game.myPlayerId);
+    const view = getVisibleTiles();
+    const entries = [
+        ...Array.from(game.monsters.values()).map(entity => ({ kind: 'monster', entity })),
+        ...Array.from(game.players.values())
+            .filter(entity => entity.id !== game.myPlayerId)
+            .map(entity => ({ kind: 'player', entity })),
+    ].filter(({ entity }) => !entity.dead && isEntityVisible(entity, view));
+    const distance = entity => Math.max(Math.abs(entity.x - myPlayer.x), Math.abs(entity.y - myPlayer.y));
+    entries.sort((a, b) => distance(a.entity) - distance(b.entity));
+
+    if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'stat-line';
+        empty.textContent = 'Nothing in sight';
+        list.replaceChildren(empty);
         return;
     }
 
-    // Show stats for first monster
-    const firstMonster = Array.from(game.monsters.values())[0];
-    const healthPercent = (firstMonster.health / firstMonster.maxHealth) * 100;
-    document.getElementById('monsterHealthFill').style.width = healthPercent + '%';
-    document.getElementById('monsterHealthText').textContent =
-        `${firstMonster.health} / ${firstMonster.maxHealth}`;
-    document.getElementById('monsterPos').textContent =
-        `${firstMonster.x}, ${firstMonster.y}`;
-    document.getElementById('monsterStatus').textContent = `${monsterCount} alive`;
+    list.replaceChildren(...entries.map(({ kind, entity }) => {
+        const entry = document.createElement('div');
+        entry.className = 'battle-entry';
+        entry.classList.toggle('targeted', isTargeted(kind, entity.id));
+        entry.textContent = `${entity.emoji} ${entity.getNameTag()}`;
+        // The list is rebuilt often, so a click could land on a replaced entry
+        entry.addEventListener('mousedown', () => toggleTarget(kind, entity));
+
+        const bar = document.createElement('div');
+        bar.className = 'battle-health';
+        const fill = document.createElement('div');
+        fill.className = 'health-fill';
+        fill.style.width = `${entity.health / entity.maxHealth * 100}%`;
+        bar.appendChild(fill);
+        entry.appendChild(bar);
+        return entry;
+    }));
 }
 
 // Add log entry
@@ -557,12 +2259,63 @@ function addLog(message, type = 'info') {
     }
 }
 
-// Game over
-function gameOver() {
+// Show the sector we walked into and play its music
+function enterZone(zone) {
+    game.zone = zone;
+    document.getElementById('playerZone').textContent = zone.name || '-';
+
+    const rules = [];
+    if (zone.protection) rules.push('Protection zone');
+    if (zone.pvp) rules.push('PvP');
+    if (zone.noLogout) rules.push('No logout');
+    document.getElementById('playerZoneRules').textContent = rules.join(', ');
+
+    if (zone.name) {
+        addLog(`You enter ${zone.name}.${rules.length > 0 ? ` (${rules.join(', ')})` : ''}`, 'info');
+    }
+    playMusic(zone.music);
+}
+
+// Keep playing when the next sector has the same track
+function playMusic(track) {
+    const src = track ? CONFIG.MUSIC_FOLDER + track : null;
+    if (game.music && game.music.getAttribute('src') === src) return;
+
+    if (game.music) {
+        game.music.pause();
+        game.music = null;
+    }
+    if (!src) return;
+
+    game.music = new Audio(src);
+    game.music.loop = true;
+    game.music.volume = CONFIG.MUSIC_VOLUME;
+    // Browsers refuse to play before the page has been interacted with
+    game.music.play().catch(error => console.log(`Music ${track} not played: ${error.message}`));
+}
+
+function logout() {
+    if (!game.running) return;
+
+    // The server closes the connection, or refuses in a no-logout zone
+    game.loggingOut = true;
+    game.ws.send(JSON.stringify({ type: 'logout' }));
+}
+
+// Game over until the server respawns us
+function gameOver(respawnDelay) {
     game.running = false;
+    document.getElementById('respawnSeconds').textContent = Math.ceil(respawnDelay / 1000);
     document.getElementById('gameOver').style.display = 'block';
     addLog('You have been defeated!', 'damage');
 }
 
+function respawn() {
+    game.running = true;
+    document.getElementById('gameOver').style.display = 'none';
+    addLog('You wake up in the temple.', 'heal');
+    updatePlayerUI();
+}
+
 // Start the game
 init();
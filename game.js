@@ -3,15 +3,32 @@ const CONFIG = {
     TILE_SIZE: 32,
     MAP_WIDTH: 20,
     MAP_HEIGHT: 15,
-    CANVAS_WIDTH: 20 * 32,
-    CANVAS_HEIGHT: 15 * 32,
+    VIEWPORT_WIDTH: 15, // Tiles visible around the player, like Tibia
+    VIEWPORT_HEIGHT: 11,
+    CANVAS_WIDTH: 15 * 32,
+    CANVAS_HEIGHT: 11 * 32,
     FPS: 60,
     MONSTER_MOVE_INTERVAL: 500, // milliseconds
     MONSTER_ATTACK_INTERVAL: 1500,
+    MONSTER_AGGRO_RADIUS: 6, // tiles
+    MONSTER_LEASH_RADIUS: 10, // tiles from spawn before giving up
+    MONSTER_WANDER_RADIUS: 3,
+    MONSTER_WANDER_INTERVAL: 2000,
+    MONSTER_FLEE_HEALTH: 0.2, // fraction of max health
     PLAYER_ATTACK_COOLDOWN: 500,
     FIREBALL_SPEED: 8, // pixels per frame
-    FIREBALL_DAMAGE: 15,
-    FIREBALL_COOLDOWN: 1000, // milliseconds
+    PLAYER_SPEED: 220,
+    STEP_SPEED_SCALE: 44000, // step milliseconds are this / speed (200 at 220)
+    DIAGONAL_STEP_FACTOR: Math.SQRT2,
+    PLAYER_MANA: 50,
+    MANA_REGEN_AMOUNT: 2,
+    MANA_REGEN_INTERVAL: 2000, // milliseconds
+};
+
+// Spells the player knows. Cooldowns are in milliseconds.
+const SPELLS = {
+    fireball: { name: 'Fireball', emoji: '🔥', mana: 5, cooldown: 1000, damage: 15 },
+    light_healing: { name: 'Light Healing', emoji: '✨', mana: 20, cooldown: 1000, heal: { min: 20, max: 30 } },
 };
 
 // Game State
@@ -25,12 +42,17 @@ const game = {
     monster: null,
     fireballs: [],
     keys: {},
-    mouseX: 0,
+    keyBindings: null,
+    movement: null, // Hold-to-walk controller from keybindings.js
+    mouseX: 0, // Mouse position in canvas pixels, see getMouseWorld()
     mouseY: 0,
+    camera: { x: 0, y: 0 }, // World pixel at the top left of the canvas
     lastMonsterMove: 0,
     lastMonsterAttack: 0,
     lastPlayerAttack: 0,
-    lastFireball: 0,
+    spellCooldowns: {}, // spell id -> time it can be cast again
+    lastManaRegen: 0,
+    pathFinder: new Pathfinding.PathFinder(),
 };
 
 // Tile types
@@ -50,16 +72,33 @@ class Entity {
         this.emoji = emoji;
         this.health = health;
         this.maxHealth = maxHealth;
+        this.stepDuration = CONFIG.MONSTER_MOVE_INTERVAL; // milliseconds a step is drawn over
+        this.step = null; // Where and when the current step started
+    }
+
+    // Tile position to draw at, part way through the current step
+    getDrawPosition() {
+        const step = this.step;
+        const progress = step ? (Date.now() - step.start) / step.duration : 1;
+        if (progress >= 1) {
+            this.step = null;
+            return { x: this.x, y: this.y };
+        }
+        return {
+            x: step.fromX + (this.x - step.fromX) * progress,
+            y: step.fromY + (this.y - step.fromY) * progress,
+        };
     }
 
     draw(ctx) {
+        const position = this.getDrawPosition();
         ctx.font = '28px Arial';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         ctx.fillText(
             this.emoji,
-            this.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2,
-            this.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2
+            position.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2,
+            position.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2
         );
     }
 
@@ -70,8 +109,10 @@ class Entity {
         return game.map[y][x].walkable;
     }
 
-    moveTo(x, y) {
+    moveTo(x, y, duration = this.stepDuration) {
         if (this.canMoveTo(x, y)) {
+            const from = this.getDrawPosition();
+            this.step = { fromX: from.x, fromY: from.y, start: Date.now(), duration };
             this.x = x;
             this.y = y;
             return true;
@@ -97,6 +138,41 @@ class Player extends Entity {
         super(x, y, '🧙', 100, 100);
         this.minDamage = 8;
         this.maxDamage = 12;
+        this.mana = CONFIG.PLAYER_MANA;
+        this.maxMana = CONFIG.PLAYER_MANA;
+    }
+
+    // Pay for a spell and start its cooldown; false if it can't be cast yet
+    castSpell(spellId) {
+        const spell = SPELLS[spellId];
+        const now = Date.now();
+
+        if (now < (game.spellCooldowns[spellId] || 0)) {
+            addLog(`${spell.name} on cooldown!`, 'info');
+            return false;
+        }
+        if (this.mana < spell.mana) {
+            addLog('Not enough mana!', 'info');
+            return false;
+        }
+
+        this.mana -= spell.mana;
+        game.spellCooldowns[spellId] = now + spell.cooldown;
+        updatePlayerUI();
+        return true;
+    }
+
+    heal() {
+        if (!this.castSpell('light_healing')) return;
+
+        const range = SPELLS.light_healing.heal;
+        const amount = Math.min(
+            Math.floor(Math.random() * (range.max - range.min + 1)) + range.min,
+            this.maxHealth - this.health
+        );
+        this.health += amount;
+        addLog(`You heal ${amount} health!`, 'info');
+        updatePlayerUI();
     }
 
     attack(target) {
@@ -150,8 +226,8 @@ class Fireball {
         this.y += this.vy;
 
         // Check if out of bounds
-        if (this.x < 0 || this.x > CONFIG.CANVAS_WIDTH ||
-            this.y < 0 || this.y > CONFIG.CANVAS_HEIGHT) {
+        if (this.x < 0 || this.x > CONFIG.MAP_WIDTH * CONFIG.TILE_SIZE ||
+            this.y < 0 || this.y > CONFIG.MAP_HEIGHT * CONFIG.TILE_SIZE) {
             this.active = false;
             return;
         }
@@ -168,8 +244,8 @@ class Fireball {
 
             // Hit detection (within 16 pixels - half a tile)
             if (distance < 16) {
-                const killed = game.monster.takeDamage(CONFIG.FIREBALL_DAMAGE);
-                addLog(`Fireball hits monster for ${CONFIG.FIREBALL_DAMAGE} damage!`, 'damage');
+                const killed = game.monster.takeDamage(SPELLS.fireball.damage);
+                addLog(`Fireball hits monster for ${SPELLS.fireball.damage} damage!`, 'damage');
 
                 if (killed) {
                     addLog('You defeated the monster with a fireball!', 'info');
@@ -207,7 +283,11 @@ class Monster extends Entity {
         super(x, y, '👹', 50, 50);
         this.minDamage = 5;
         this.maxDamage = 10;
-        this.state = 'hunting'; // hunting, attacking
+        this.state = 'idle'; // idle, hunting, attacking, fleeing, returning
+        this.spawnX = x;
+        this.spawnY = y;
+        this.provoked = false; // Set once the player hurts it
+        this.pathFollower = new Pathfinding.PathFollower(game.pathFinder);
     }
 
     update() {
@@ -215,6 +295,44 @@ class Monster extends Entity {
 
         const now = Date.now();
         const distance = this.getDistance(game.player);
+        const canMove = now - game.lastMonsterMove >= CONFIG.MONSTER_MOVE_INTERVAL;
+
+        // Leash back to the spawn point when pulled too far
+        if (this.state !== 'returning' && this.getSpawnDistance() > CONFIG.MONSTER_LEASH_RADIUS) {
+            this.setState('returning');
+            this.provoked = false;
+        }
+
+        if (this.state === 'returning') {
+            if (this.getSpawnDistance() <= CONFIG.MONSTER_WANDER_RADIUS) {
+                this.setState('idle');
+            } else if (canMove) {
+                this.moveTowards({ x: this.spawnX, y: this.spawnY }, CONFIG.MONSTER_WANDER_RADIUS);
+                game.lastMonsterMove = now;
+            }
+            return;
+        }
+
+        // Idle until the player comes close or attacks
+        if (!this.provoked && distance > CONFIG.MONSTER_AGGRO_RADIUS) {
+            this.setState('idle');
+            if (now - game.lastMonsterMove >= CONFIG.MONSTER_WANDER_INTERVAL) {
+                this.wander();
+                game.lastMonsterMove = now;
+            }
+            return;
+        }
+
+        // Run away at low health
+        if (this.health <= this.maxHealth * CONFIG.MONSTER_FLEE_HEALTH) {
+            this.setState('fleeing');
+            if (canMove) {
+                game.lastMonsterMove = now;
+                if (this.fleeFromPlayer()) return;
+            }
+            if (distance > 1.5) return;
+            // Cornered: fight back
+        }
 
         // Attack if adjacent
         if (distance <= 1.5) {
@@ -222,44 +340,99 @@ class Monster extends Entity {
                 this.attackPlayer();
                 game.lastMonsterAttack = now;
             }
-            this.state = 'attacking';
+            if (this.state !== 'fleeing') {
+                this.setState('attacking');
+            }
         } else {
-            this.state = 'hunting';
+            this.setState('hunting');
 
             // Move towards player
-            if (now - game.lastMonsterMove >= CONFIG.MONSTER_MOVE_INTERVAL) {
+            if (canMove) {
                 this.moveTowardsPlayer();
                 game.lastMonsterMove = now;
             }
         }
     }
 
-    moveTowardsPlayer() {
-        const dx = game.player.x - this.x;
-        const dy = game.player.y - this.y;
-
-        let moveX = 0;
-        let moveY = 0;
-
-        // Determine primary direction
-        if (Math.abs(dx) > Math.abs(dy)) {
-            moveX = dx > 0 ? 1 : -1;
-        } else if (Math.abs(dy) > Math.abs(dx)) {
-            moveY = dy > 0 ? 1 : -1;
-        } else if (dx !== 0) {
-            // Diagonal movement - try both
-            moveX = dx > 0 ? 1 : -1;
-            moveY = dy > 0 ? 1 : -1;
+    setState(state) {
+        if (this.state !== state) {
+            this.state = state;
+            this.pathFollower.clear();
         }
+    }
+
+    takeDamage(damage) {
+        this.provoked = true;
+        return super.takeDamage(damage);
+    }
+
+    getSpawnDistance() {
+        return Math.max(Math.abs(this.x - this.spawnX), Math.abs(this.y - this.spawnY));
+    }
 
-        // Try to move
-        if (!this.moveTo(this.x + moveX, this.y + moveY)) {
-            // If diagonal failed, try just X
-            if (moveX !== 0 && !this.moveTo(this.x + moveX, this.y)) {
-                // If X failed, try just Y
-                this.moveTo(this.x, this.y + moveY);
+    // Free tiles around the monster
+    getNeighbours() {
+        const tiles = [];
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const x = this.x + dx;
+                const y = this.y + dy;
+                if ((dx !== 0 || dy !== 0) && this.canMoveTo(x, y) &&
+                    !(x === game.player.x && y === game.player.y)) {
+                    tiles.push({ x, y });
+                }
             }
         }
+        return tiles;
+    }
+
+    wander() {
+        const tiles = this.getNeighbours().filter(tile =>
+            Math.max(Math.abs(tile.x - this.spawnX), Math.abs(tile.y - this.spawnY)) <=
+                CONFIG.MONSTER_WANDER_RADIUS
+        );
+        if (tiles.length > 0) {
+            const tile = tiles[Math.floor(Math.random() * tiles.length)];
+            this.moveTo(tile.x, tile.y);
+        }
+    }
+
+    // Step to the tile furthest from the player, false when cornered
+    fleeFromPlayer() {
+        let best = null;
+        let bestDistance = this.getDistance(game.player);
+
+        this.getNeighbours().forEach(tile => {
+            const distance = Math.sqrt(
+                Math.pow(tile.x - game.player.x, 2) + Math.pow(tile.y - game.player.y, 2)
+            );
+            if (distance > bestDistance) {
+                best = tile;
+                bestDistance = distance;
+            }
+        });
+
+        if (!best) return false;
+        this.moveTo(best.x, best.y);
+        return true;
+    }
+
+    moveTowardsPlayer() {
+        this.moveTowards(game.player, 1);
+    }
+
+    // Follow an A* path to within range of a goal
+    moveTowards(goal, range) {
+        const step = this.pathFollower.nextStep(
+            this,
+            goal,
+            (x, y) => this.canMoveTo(x, y) && !(x === game.player.x && y === game.player.y),
+            range
+        );
+
+        if (step) {
+            this.moveTo(step.x, step.y);
+        }
     }
 
     attackPlayer() {
@@ -353,33 +526,35 @@ function generateMap() {
 // Setup keyboard and mouse input
 function setupInput() {
     // Keyboard events
+    game.keyBindings = new KeyBindings({
+        storageKey: 'tibiaClone.singlePlayer.keys',
+        actions: [
+            'moveNorth', 'moveSouth', 'moveWest', 'moveEast',
+            'moveNorthWest', 'moveNorthEast', 'moveSouthWest', 'moveSouthEast',
+            'melee',
+        ],
+        defaultBar: {
+            1: { type: 'spell', spellId: 'light_healing' },
+            2: { type: 'spell', spellId: 'fireball' },
+        },
+        allowText: false,
+        getChoices: () => Object.entries(SPELLS).map(([spellId, spell]) => ({
+            label: spell.name,
+            entry: { type: 'spell', spellId },
+        })),
+        describe: (entry) => {
+            const spell = SPELLS[entry.spellId];
+            return { icon: spell.emoji, title: `${spell.name} (${spell.mana} mana)` };
+        },
+        onAction: handleAction,
+        onUse: (entry) => castSpell(entry.spellId),
+    });
+    game.keyBindings.attach();
+    game.keyBindings.renderActionBar(document.getElementById('actionBar'));
+    game.movement = new KeyBindings.MovementController(game.keyBindings);
+
     document.addEventListener('keydown', (e) => {
         game.keys[e.key.toLowerCase()] = true;
-
-        // Handle player movement
-        if (game.running && game.player) {
-            let moved = false;
-
-            if (e.key.toLowerCase() === 'w') {
-                moved = game.player.moveTo(game.player.x, game.player.y - 1);
-            } else if (e.key.toLowerCase() === 's') {
-                moved = game.player.moveTo(game.player.x, game.player.y + 1);
-            } else if (e.key.toLowerCase() === 'a') {
-                moved = game.player.moveTo(game.player.x - 1, game.player.y);
-            } else if (e.key.toLowerCase() === 'd') {
-                moved = game.player.moveTo(game.player.x + 1, game.player.y);
-            } else if (e.key === ' ') {
-                e.preventDefault();
-                if (game.monster) {
-                    game.player.attack(game.monster);
-                    updateMonsterUI();
-                }
-            }
-
-            if (moved) {
-                updatePlayerUI();
-            }
-        }
     });
 
     document.addEventListener('keyup', (e) => {
@@ -388,47 +563,107 @@ function setupInput() {
 
     // Mouse events
     game.canvas.addEventListener('mousemove', (e) => {
-        const rect = game.canvas.getBoundingClientRect();
-        game.mouseX = e.clientX - rect.left;
-        game.mouseY = e.clientY - rect.top;
+        const point = screenToCanvas(e.clientX, e.clientY);
+        game.mouseX = point.x;
+        game.mouseY = point.y;
     });
 
     game.canvas.addEventListener('click', (e) => {
         if (!game.running || !game.player) return;
 
-        const now = Date.now();
-        if (now - game.lastFireball < CONFIG.FIREBALL_COOLDOWN) {
-            addLog('Fireball on cooldown!', 'info');
-            return;
-        }
+        const point = screenToCanvas(e.clientX, e.clientY);
+        castFireball(point.x + game.camera.x, point.y + game.camera.y);
+    });
+}
 
-        const rect = game.canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const mouseY = e.clientY - rect.top;
+// Page coordinates of a mouse event to canvas pixels. The canvas may be
+// drawn scaled, so its CSS size is taken into account.
+function screenToCanvas(clientX, clientY) {
+    const rect = game.canvas.getBoundingClientRect();
+    return {
+        x: (clientX - rect.left) * (game.canvas.width / rect.width),
+        y: (clientY - rect.top) * (game.canvas.height / rect.height),
+    };
+}
 
-        // Create fireball from player position towards mouse
-        const fireball = new Fireball(
-            game.player.x,
-            game.player.y,
-            mouseX,
-            mouseY
-        );
+// World pixel under the mouse; the camera may have moved since it did
+function getMouseWorld() {
+    return { x: game.mouseX + game.camera.x, y: game.mouseY + game.camera.y };
+}
 
-        game.fireballs.push(fireball);
-        game.lastFireball = now;
-        addLog('Cast fireball!', 'info');
-    });
+// Movement and melee from the key bindings
+function handleAction(action) {
+    if (!game.running || !game.player) return;
+
+    if (KeyBindings.MOVE_DIRECTIONS[action]) {
+        game.movement.queue(action);
+    } else if (action === 'melee' && game.monster) {
+        game.player.attack(game.monster);
+        updateMonsterUI();
+    }
+}
+
+// Take one step for the movement controller, returning how long it takes
+// or 0 if the way is blocked
+function stepPlayer(direction) {
+    if (!game.running || !game.player) return 0;
+
+    const diagonal = direction.x !== 0 && direction.y !== 0;
+    const duration = Math.round(CONFIG.STEP_SPEED_SCALE / CONFIG.PLAYER_SPEED *
+        (diagonal ? CONFIG.DIAGONAL_STEP_FACTOR : 1));
+    if (!game.player.moveTo(game.player.x + direction.x, game.player.y + direction.y, duration)) {
+        return 0;
+    }
+
+    updatePlayerUI();
+    return duration;
+}
+
+// Action bar spells; a fireball flies towards the mouse
+function castSpell(spellId) {
+    if (!game.running || !game.player) return;
+
+    if (spellId === 'fireball') {
+        const target = getMouseWorld();
+        castFireball(target.x, target.y);
+    } else if (spellId === 'light_healing') {
+        game.player.heal();
+    }
+}
+
+function castFireball(targetX, targetY) {
+    if (!game.player.castSpell('fireball')) return;
+
+    // Create fireball from player position towards the target
+    const fireball = new Fireball(
+        game.player.x,
+        game.player.y,
+        targetX,
+        targetY
+    );
+
+    game.fireballs.push(fireball);
+    addLog('Cast fireball!', 'info');
 }
 
 // Game loop
 function gameLoop(timestamp) {
     if (!game.running) return;
 
+    game.pathFinder.startTick();
+    game.movement.update(Date.now(), stepPlayer);
+    regenerateMana();
+
     // Clear canvas
     game.ctx.clearRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
 
+    // Everything below is drawn in world pixels, shifted by the camera
+    updateCamera();
+    game.ctx.save();
+    game.ctx.translate(-game.camera.x, -game.camera.y);
+
     // Draw map
-    drawMap();
+    drawMap(getVisibleTiles());
 
     // Update and draw fireballs
     for (let i = game.fireballs.length - 1; i >= 0; i--) {
@@ -452,14 +687,49 @@ function gameLoop(timestamp) {
         game.player.draw(game.ctx);
     }
 
+    game.ctx.restore();
     game.lastFrameTime = timestamp;
     requestAnimationFrame(gameLoop);
 }
 
-// Draw the map
-function drawMap() {
-    for (let y = 0; y < CONFIG.MAP_HEIGHT; y++) {
-        for (let x = 0; x < CONFIG.MAP_WIDTH; x++) {
+function regenerateMana() {
+    const now = Date.now();
+    if (!game.player || now - game.lastManaRegen < CONFIG.MANA_REGEN_INTERVAL) return;
+
+    game.lastManaRegen = now;
+    if (game.player.mana < game.player.maxMana) {
+        game.player.mana = Math.min(game.player.maxMana, game.player.mana + CONFIG.MANA_REGEN_AMOUNT);
+        updatePlayerUI();
+    }
+}
+
+// Keep the player in the middle of the canvas. Near the map edge the view
+// shows past it, as in Tibia, rather than moving the player off center.
+function updateCamera() {
+    if (!game.player) return;
+
+    const position = game.player.getDrawPosition();
+    game.camera.x = Math.round((position.x + 0.5) * CONFIG.TILE_SIZE - CONFIG.CANVAS_WIDTH / 2);
+    game.camera.y = Math.round((position.y + 0.5) * CONFIG.TILE_SIZE - CONFIG.CANVAS_HEIGHT / 2);
+}
+
+// Tile range on the canvas, inclusive and clamped to the map. A tile is
+// partly visible at each edge while the camera slides between tiles.
+function getVisibleTiles() {
+    const startX = Math.floor(game.camera.x / CONFIG.TILE_SIZE);
+    const startY = Math.floor(game.camera.y / CONFIG.TILE_SIZE);
+    return {
+        startX: Math.max(0, startX),
+        startY: Math.max(0, startY),
+        endX: Math.min(CONFIG.MAP_WIDTH - 1, startX + CONFIG.VIEWPORT_WIDTH),
+        endY: Math.min(CONFIG.MAP_HEIGHT - 1, startY + CONFIG.VIEWPORT_HEIGHT),
+    };
+}
+
+// Draw the visible part of the map
+function drawMap(view) {
+    for (let y = view.startY; y <= view.endY; y++) {
+        for (let x = view.startX; x <= view.endX; x++) {
             const tile = game.map[y][x];
 
             game.ctx.font = '28px Arial';
@@ -482,6 +752,8 @@ function updatePlayerUI() {
     document.getElementById('playerHealthFill').style.width = healthPercent + '%';
     document.getElementById('playerHealthText').textContent =
         `${game.player.health} / ${game.player.maxHealth}`;
+    document.getElementById('playerMana').textContent =
+        `${game.player.mana} / ${game.player.maxMana}`;
     document.getElementById('playerPos').textContent =
         `${game.player.x}, ${game.player.y}`;
     document.getElementById('playerDamage').textContent =
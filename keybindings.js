@@ -0,0 +1,442 @@
+// Key bindings and the F1-F12 / 1-9 action bar, shared by the single player
+// (game.js) and multiplayer (game-multiplayer.js) clients. Each game saves its
+// own bindings and bar to localStorage under the storage key it passes in.
+const KeyBindings = (function () {
+    // Every action a game can use, with its default keys. Keys are named by
+    // getKeyName(): lowercase letters, 'Space', or the browser's name for
+    // special keys (ArrowUp, Enter) and numpad keys (Numpad8).
+    const ACTIONS = {
+        moveNorth: { label: 'Move north', keys: ['w', 'ArrowUp', 'Numpad8'] },
+        moveSouth: { label: 'Move south', keys: ['s', 'ArrowDown', 'Numpad2'] },
+        moveWest: { label: 'Move west', keys: ['a', 'ArrowLeft', 'Numpad4'] },
+        moveEast: { label: 'Move east', keys: ['d', 'ArrowRight', 'Numpad6'] },
+        moveNorthWest: { label: 'Move north-west', keys: ['Numpad7'] },
+        moveNorthEast: { label: 'Move north-east', keys: ['Numpad9'] },
+        moveSouthWest: { label: 'Move south-west', keys: ['Numpad1'] },
+        moveSouthEast: { label: 'Move south-east', keys: ['Numpad3'] },
+        melee: { label: 'Melee attack', keys: ['Space'] },
+        chat: { label: 'Start typing', keys: ['Enter'] },
+    };
+
+    // Step taken by each movement action
+    const MOVE_DIRECTIONS = {
+        moveNorth: { x: 0, y: -1 },
+        moveSouth: { x: 0, y: 1 },
+        moveWest: { x: -1, y: 0 },
+        moveEast: { x: 1, y: 0 },
+        moveNorthWest: { x: -1, y: -1 },
+        moveNorthEast: { x: 1, y: -1 },
+        moveSouthWest: { x: -1, y: 1 },
+        moveSouthEast: { x: 1, y: 1 },
+    };
+
+    const ACTION_BAR_KEYS = [
+        'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12',
+        '1', '2', '3', '4', '5', '6', '7', '8', '9',
+    ];
+
+    // Name of the key pressed. Numpad keys keep their own names so that
+    // Numpad1 can walk diagonally while 1 uses the action bar.
+    function getKeyName(event) {
+        if (event.code && event.code.startsWith('Numpad')) return event.code;
+        if (event.key === ' ') return 'Space';
+        return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    }
+
+    function isTyping(event) {
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName);
+    }
+
+    // Options:
+    //   storageKey      localStorage key for this game's bindings and bar
+    //   actions         names from ACTIONS this game uses
+    //   defaultBar      action bar entries by key, e.g. { F1: { type: 'spell', spellId } }
+    //   allowText       whether bar slots can hold chat text
+    //   getChoices()    [{ label, entry }] that can be put on the bar
+    //   describe(entry) { icon, title, count } for drawing a bar slot
+    //   onAction(name)  called for a bound action
+    //   onUse(entry)    called when a bar slot is used
+    //   entryFromDrop(dataTransfer)  optional, an entry for something dropped on a slot
+    class KeyBindings {
+        constructor(options) {
+            this.options = options;
+            this.actions = options.actions;
+            this.bindings = {};
+            this.actionBar = [];
+            this.barElement = null;
+            this.settingsElement = null;
+            this.capturing = null; // Action waiting for a key press in the settings screen
+            this.held = new Set(); // Actions whose keys are down
+            this.load();
+        }
+
+        load() {
+            let saved = {};
+            try {
+                saved = JSON.parse(localStorage.getItem(this.options.storageKey)) || {};
+            } catch (error) {
+                saved = {};
+            }
+
+            this.actions.forEach(action => {
+                const keys = saved.bindings && saved.bindings[action];
+                this.bindings[action] = Array.isArray(keys) ? keys : ACTIONS[action].keys.slice();
+            });
+            this.actionBar = ACTION_BAR_KEYS.map((key, index) => {
+                if (Array.isArray(saved.actionBar)) {
+                    return saved.actionBar[index] || null;
+                }
+                return (this.options.defaultBar || {})[key] || null;
+            });
+        }
+
+        save() {
+            localStorage.setItem(this.options.storageKey, JSON.stringify({
+                bindings: this.bindings,
+                actionBar: this.actionBar,
+            }));
+        }
+
+        // Replace the default bar before anything has been saved, for games
+        // that only learn what can go on the bar after connecting
+        setDefaultBar(defaultBar) {
+            this.options.defaultBar = defaultBar;
+            if (!localStorage.getItem(this.options.storageKey)) {
+                this.load();
+            }
+            this.renderActionBar();
+        }
+
+        reset() {
+            localStorage.removeItem(this.options.storageKey);
+            this.load();
+            this.renderActionBar();
+            this.renderSettings();
+        }
+
+        getAction(event) {
+            const key = getKeyName(event);
+            return this.actions.find(action => this.bindings[action].includes(key)) || null;
+        }
+
+        getSlot(event) {
+            if (event.ctrlKey || event.altKey || event.metaKey) return -1;
+            return ACTION_BAR_KEYS.indexOf(getKeyName(event));
+        }
+
+        // A key belongs to one action at a time
+        bindKey(action, key) {
+            this.actions.forEach(other => {
+                this.bindings[other] = this.bindings[other].filter(bound => bound !== key);
+            });
+            this.bindings[action].push(key);
+            this.save();
+        }
+
+        unbindKey(action, key) {
+            this.bindings[action] = this.bindings[action].filter(bound => bound !== key);
+            this.save();
+        }
+
+        setSlot(index, entry) {
+            this.actionBar[index] = entry;
+            this.save();
+            this.renderActionBar();
+        }
+
+        useSlot(index) {
+            const entry = this.actionBar[index];
+            if (entry) {
+                this.options.onUse(entry);
+            }
+        }
+
+        isHeld(action) {
+            return this.held.has(action);
+        }
+
+        // Send key presses to the game: bound actions first, then the bar.
+        // Actions fire once per press; holding a key doesn't repeat them.
+        attach() {
+            document.addEventListener('keydown', (e) => {
+                if (this.capturing) {
+                    e.preventDefault();
+                    this.captureKey(e);
+                    return;
+                }
+                if (isTyping(e) || this.settingsElement && this.settingsElement.style.display !== 'none') {
+                    return;
+                }
+
+                const action = this.getAction(e);
+                if (action) {
+                    e.preventDefault();
+                    const repeat = e.repeat || this.held.has(action);
+                    this.held.add(action);
+                    if (!repeat) {
+                        this.options.onAction(action);
+                    }
+                    return;
+                }
+
+                const slot = this.getSlot(e);
+                if (slot !== -1) {
+                    e.preventDefault();
+                    this.useSlot(slot);
+                }
+            });
+
+            document.addEventListener('keyup', (e) => {
+                const key = getKeyName(e);
+                this.actions.forEach(action => {
+                    if (this.bindings[action].includes(key)) {
+                        this.held.delete(action);
+                    }
+                });
+            });
+
+            // Keys released while the window is in the background never send keyup
+            window.addEventListener('blur', () => this.held.clear());
+        }
+
+        // Action bar
+
+        renderActionBar(container) {
+            if (container) {
+                this.barElement = container;
+            }
+            if (!this.barElement) return;
+
+            this.barElement.innerHTML = '';
+            ACTION_BAR_KEYS.forEach((key, index) => {
+                this.barElement.appendChild(this.createBarSlot(key, index));
+            });
+
+            const settingsButton = document.createElement('button');
+            settingsButton.className = 'action-bar-settings';
+            settingsButton.textContent = '⚙';
+            settingsButton.title = 'Key bindings and action bar';
+            settingsButton.addEventListener('click', () => this.openSettings());
+            this.barElement.appendChild(settingsButton);
+        }
+
+        createBarSlot(key, index) {
+            const slot = document.createElement('div');
+            slot.className = 'action-slot';
+
+            const label = document.createElement('span');
+            label.className = 'action-key';
+            label.textContent = key;
+            slot.appendChild(label);
+
+            const entry = this.actionBar[index];
+            if (entry) {
+                const description = this.options.describe(entry);
+                const icon = document.createElement('span');
+                icon.textContent = description.icon;
+                slot.appendChild(icon);
+                slot.title = description.title;
+
+                if (description.count !== undefined) {
+                    const count = document.createElement('span');
+                    count.className = 'item-count';
+                    count.textContent = description.count;
+                    slot.appendChild(count);
+                }
+            }
+
+            slot.addEventListener('click', () => this.useSlot(index));
+            slot.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.setSlot(index, null);
+            });
+            if (this.options.entryFromDrop) {
+                slot.addEventListener('dragover', (e) => e.preventDefault());
+                slot.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    const dropped = this.options.entryFromDrop(e.dataTransfer);
+                    if (dropped) {
+                        this.setSlot(index, dropped);
+                    }
+                });
+            }
+            return slot;
+        }
+
+        // Settings screen: keys for each action, and what each bar slot holds
+
+        openSettings() {
+            if (!this.settingsElement) {
+                this.settingsElement = document.createElement('div');
+                this.settingsElement.className = 'key-settings';
+                document.body.appendChild(this.settingsElement);
+            }
+            this.settingsElement.style.display = 'block';
+            this.renderSettings();
+        }
+
+        closeSettings() {
+            this.capturing = null;
+            this.settingsElement.style.display = 'none';
+        }
+
+        captureKey(event) {
+            const key = getKeyName(event);
+            if (key !== 'Escape') {
+                this.bindKey(this.capturing, key);
+            }
+            this.capturing = null;
+            this.renderSettings();
+        }
+
+        renderSettings() {
+            const panel = this.settingsElement;
+            if (!panel || panel.style.display === 'none') return;
+
+            panel.innerHTML = '<h2>Key Bindings</h2>';
+
+            this.actions.forEach(action => {
+                const row = document.createElement('div');
+                row.className = 'key-settings-row';
+                row.appendChild(document.createTextNode(ACTIONS[action].label));
+
+                this.bindings[action].forEach(key => {
+                    const button = document.createElement('button');
+                    button.textContent = `${key} ✕`;
+                    button.title = 'Remove this key';
+                    button.addEventListener('click', () => {
+                        this.unbindKey(action, key);
+                        this.renderSettings();
+                    });
+                    row.appendChild(button);
+                });
+
+                const add = document.createElement('button');
+                add.textContent = this.capturing === action ? 'Press a key...' : '+ Key';
+                add.addEventListener('click', () => {
+                    this.capturing = action;
+                    this.renderSettings();
+                });
+                row.appendChild(add);
+                panel.appendChild(row);
+            });
+
+            const barHeading = document.createElement('h2');
+            barHeading.textContent = 'Action Bar';
+            panel.appendChild(barHeading);
+            ACTION_BAR_KEYS.forEach((key, index) => {
+                panel.appendChild(this.createSlotSetting(key, index));
+            });
+
+            const buttons = document.createElement('div');
+            buttons.className = 'key-settings-buttons';
+            const reset = document.createElement('button');
+            reset.textContent = 'Reset to defaults';
+            reset.addEventListener('click', () => this.reset());
+            const close = document.createElement('button');
+            close.textContent = 'Close';
+            close.addEventListener('click', () => this.closeSettings());
+            buttons.appendChild(reset);
+            buttons.appendChild(close);
+            panel.appendChild(buttons);
+        }
+
+        // A dropdown of everything that fits in the slot, plus chat text
+        createSlotSetting(key, index) {
+            const row = document.createElement('div');
+            row.className = 'key-settings-row';
+            row.appendChild(document.createTextNode(key));
+
+            const entry = this.actionBar[index];
+            const choices = this.options.getChoices();
+            const select = document.createElement('select');
+            select.add(new Option('(empty)', ''));
+            choices.forEach((choice, choiceIndex) => {
+                const selected = !!entry && JSON.stringify(entry) === JSON.stringify(choice.entry);
+                select.add(new Option(choice.label, choiceIndex, selected, selected));
+            });
+            if (this.options.allowText) {
+                select.add(new Option('Chat text', 'text', false, !!entry && entry.type === 'text'));
+            }
+            row.appendChild(select);
+
+            const text = document.createElement('input');
+            text.type = 'text';
+            text.placeholder = 'Text to say';
+            text.value = entry && entry.type === 'text' ? entry.text : '';
+            text.style.display = select.value === 'text' ? 'inline-block' : 'none';
+            text.addEventListener('change', () => this.setSlot(index, { type: 'text', text: text.value }));
+            row.appendChild(text);
+
+            select.addEventListener('change', () => {
+                text.style.display = select.value === 'text' ? 'inline-block' : 'none';
+                if (select.value === '') {
+                    this.setSlot(index, null);
+                } else if (select.value === 'text') {
+                    this.setSlot(index, { type: 'text', text: text.value });
+                    text.focus();
+                } else {
+                    this.setSlot(index, choices[select.value].entry);
+                }
+            });
+            return row;
+        }
+    }
+
+    // Walks while movement keys are held. A key pressed during a step is
+    // remembered and taken as the next step, so quick taps are never lost.
+    // Holding two keys at once (north and east) walks diagonally.
+    class MovementController {
+        constructor(bindings) {
+            this.bindings = bindings;
+            this.queued = null; // Direction pressed during the current step
+            this.nextStepAt = 0;
+        }
+
+        // Call when a movement action is pressed
+        queue(action) {
+            this.queued = MOVE_DIRECTIONS[action];
+        }
+
+        stop() {
+            this.queued = null;
+        }
+
+        getHeldDirection() {
+            let x = 0;
+            let y = 0;
+            Object.entries(MOVE_DIRECTIONS).forEach(([action, direction]) => {
+                if (this.bindings.isHeld(action)) {
+                    x += direction.x;
+                    y += direction.y;
+                }
+            });
+            x = Math.sign(x);
+            y = Math.sign(y);
+            return x === 0 && y === 0 ? null : { x, y };
+        }
+
+        // Call every frame. step(direction) tries to take a step and returns
+        // how long it takes in milliseconds, or 0 if it was blocked. With no
+        // movement key down, autoDirection() may pick a step, e.g. to chase.
+        update(now, step, autoDirection = null) {
+            if (now < this.nextStepAt) return;
+
+            const direction = this.queued || this.getHeldDirection() || (autoDirection && autoDirection());
+            this.queued = null;
+            if (!direction) return;
+
+            const duration = step(direction);
+            if (duration > 0) {
+                this.nextStepAt = now + duration;
+            }
+        }
+    }
+
+    KeyBindings.MovementController = MovementController;
+    KeyBindings.MOVE_DIRECTIONS = MOVE_DIRECTIONS;
+    KeyBindings.ACTION_BAR_KEYS = ACTION_BAR_KEYS;
+    KeyBindings.getKeyName = getKeyName;
+
+    return KeyBindings;
+})();
@@ -36,10 +36,24 @@ const editor = {
     sectors: [],
     selectedSector: null,
     showSectors: true,
-    editorMode: 'tile', // 'tile' or 'sector'
+    editorMode: 'tile', // 'tile', 'sector', 'spawn' or 'npc'
     sectorDrawing: false,
     sectorDrawStart: null,
     nextSectorId: 1,
+
+    // Monster spawns
+    spawns: [],
+    selectedSpawn: null,
+    showSpawns: true,
+    nextSpawnId: 1,
+    creatureTypes: [], // From data/creatures.json when the editor is served
+
+    // NPCs
+    npcs: [],
+    selectedNpc: null,
+    showNpcs: true,
+    nextNpcId: 1,
+    npcTypes: [], // From data/npcs.json when the editor is served
 };
 
 // Initialize the editor
@@ -62,6 +76,46 @@ function init() {
 
     // Try to load from localStorage
     loadFromLocalStorage();
+
+    loadCreatureTypes();
+    loadNpcTypes();
+}
+
+// Offer the game's creature types for spawns. Only works when the editor is
+// served by the game server, otherwise types are typed in by hand.
+async function loadCreatureTypes() {
+    try {
+        const response = await fetch('data/creatures.json');
+        const creatures = await response.json();
+        editor.creatureTypes = Object.keys(creatures);
+
+        const list = document.getElementById('creatureTypeOptions');
+        editor.creatureTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            list.appendChild(option);
+        });
+    } catch (e) {
+        console.warn('Could not load creature types:', e);
+    }
+}
+
+// Offer the game's NPC types, like loadCreatureTypes
+async function loadNpcTypes() {
+    try {
+        const response = await fetch('data/npcs.json');
+        const npcs = await response.json();
+        editor.npcTypes = Object.keys(npcs);
+
+        const list = document.getElementById('npcTypeOptions');
+        editor.npcTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            list.appendChild(option);
+        });
+    } catch (e) {
+        console.warn('Could not load NPC types:', e);
+    }
 }
 
 // Load all sprites from sprites_output folder
@@ -296,6 +350,16 @@ function renderCanvas() {
         renderSectors();
     }
 
+    // Draw spawns
+    if (editor.showSpawns) {
+        renderSpawns();
+    }
+
+    // Draw NPCs
+    if (editor.showNpcs) {
+        renderNpcs();
+    }
+
     // Draw grid
     if (editor.showGrid) {
         ctx.strokeStyle = 'rgba(100, 100, 100, 0.3)';
@@ -365,6 +429,60 @@ function renderSectors() {
     });
 }
 
+// Render spawn areas: the spawn radius as a circle around the center tile
+function renderSpawns() {
+    const ctx = editor.ctx;
+
+    editor.spawns.forEach(spawn => {
+        const selected = spawn === editor.selectedSpawn;
+        const centerX = (spawn.x + 0.5) * editor.tileSize;
+        const centerY = (spawn.y + 0.5) * editor.tileSize;
+
+        // Area
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, (spawn.radius + 0.5) * editor.tileSize, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(231, 76, 60, 0.15)';
+        ctx.fill();
+        ctx.strokeStyle = selected ? '#ffd700' : '#e74c3c';
+        ctx.lineWidth = selected ? 3 : 2;
+        ctx.stroke();
+
+        // Center tile
+        ctx.fillStyle = 'rgba(231, 76, 60, 0.6)';
+        ctx.fillRect(spawn.x * editor.tileSize, spawn.y * editor.tileSize, editor.tileSize, editor.tileSize);
+
+        // Label
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`${spawn.creatureType} x${spawn.maxCount}`, centerX, spawn.y * editor.tileSize - 2);
+    });
+}
+
+// Render NPCs as a marked tile with the NPC type above it
+function renderNpcs() {
+    const ctx = editor.ctx;
+
+    editor.npcs.forEach(npc => {
+        const selected = npc === editor.selectedNpc;
+        const x = npc.x * editor.tileSize;
+        const y = npc.y * editor.tileSize;
+
+        ctx.fillStyle = 'rgba(52, 152, 219, 0.6)';
+        ctx.fillRect(x, y, editor.tileSize, editor.tileSize);
+        ctx.strokeStyle = selected ? '#ffd700' : '#3498db';
+        ctx.lineWidth = selected ? 3 : 2;
+        ctx.strokeRect(x, y, editor.tileSize, editor.tileSize);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(npc.npcType, x + editor.tileSize / 2, y - 2);
+    });
+}
+
 // Helper function to convert hex to rgba
 function hexToRGBA(hex, opacity) {
     const r = parseInt(hex.slice(1, 3), 16);
@@ -377,6 +495,10 @@ function hexToRGBA(hex, opacity) {
 function handleCanvasMouseDown(e) {
     if (editor.editorMode === 'sector') {
         handleSectorMouseDown(e);
+    } else if (editor.editorMode === 'spawn') {
+        handleSpawnMouseDown(e);
+    } else if (editor.editorMode === 'npc') {
+        handleNpcMouseDown(e);
     } else {
         editor.isDrawing = true;
         handleCanvasInteraction(e);
@@ -475,6 +597,42 @@ function handleSectorMouseUp() {
     renderCanvas();
 }
 
+// Spawn mouse handler: select the spawn centered on the tile, or place a new one
+function handleSpawnMouseDown(e) {
+    const rect = editor.canvas.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) / editor.tileSize);
+    const y = Math.floor((e.clientY - rect.top) / editor.tileSize);
+
+    if (x < 0 || x >= editor.mapWidth || y < 0 || y >= editor.mapHeight) {
+        return;
+    }
+
+    const clickedSpawn = editor.spawns.find(spawn => spawn.x === x && spawn.y === y);
+    if (clickedSpawn) {
+        selectSpawn(clickedSpawn);
+    } else {
+        createSpawn(x, y);
+    }
+}
+
+// NPC mouse handler: select the NPC on the tile, or place a new one
+function handleNpcMouseDown(e) {
+    const rect = editor.canvas.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) / editor.tileSize);
+    const y = Math.floor((e.clientY - rect.top) / editor.tileSize);
+
+    if (x < 0 || x >= editor.mapWidth || y < 0 || y >= editor.mapHeight) {
+        return;
+    }
+
+    const clickedNpc = editor.npcs.find(npc => npc.x === x && npc.y === y);
+    if (clickedNpc) {
+        selectNpc(clickedNpc);
+    } else {
+        createNpc(x, y);
+    }
+}
+
 // Get sector at position
 function getSectorAtPosition(x, y) {
     // Check in reverse order (top sectors first)
@@ -799,6 +957,192 @@ function deleteSector(sector) {
     }
 }
 
+// Spawn management functions
+function createSpawn(x, y) {
+    const spawn = {
+        id: editor.nextSpawnId++,
+        creatureType: editor.selectedSpawn ? editor.selectedSpawn.creatureType : (editor.creatureTypes[0] || 'rat'),
+        x: x,
+        y: y,
+        radius: 3,
+        maxCount: 3,
+        respawnInterval: 60 // seconds
+    };
+
+    editor.spawns.push(spawn);
+    selectSpawn(spawn);
+    saveToLocalStorage();
+}
+
+function selectSpawn(spawn) {
+    editor.selectedSpawn = spawn;
+    renderSpawnsList();
+    showSpawnProperties(spawn);
+    renderCanvas();
+}
+
+function showSpawnProperties(spawn) {
+    const panel = document.getElementById('spawnPropertiesPanel');
+    panel.style.display = 'block';
+
+    document.getElementById('spawnCreatureType').value = spawn.creatureType;
+    document.getElementById('spawnRadius').value = spawn.radius;
+    document.getElementById('spawnMaxCount').value = spawn.maxCount;
+    document.getElementById('spawnRespawnInterval').value = spawn.respawnInterval;
+}
+
+function renderSpawnsList() {
+    const list = document.getElementById('spawnsList');
+    list.innerHTML = '';
+
+    if (editor.spawns.length === 0) {
+        list.innerHTML = '<p style="color: #666; padding: 10px; text-align: center;">No spawns yet</p>';
+        return;
+    }
+
+    editor.spawns.forEach(spawn => {
+        const item = document.createElement('div');
+        item.className = 'sector-item';
+        if (spawn === editor.selectedSpawn) {
+            item.classList.add('active');
+        }
+
+        const info = document.createElement('div');
+        info.className = 'sector-info';
+
+        const name = document.createElement('div');
+        name.className = 'sector-name';
+        name.textContent = `${spawn.creatureType} x${spawn.maxCount}`;
+
+        const position = document.createElement('div');
+        position.className = 'sector-bounds';
+        position.textContent = `${spawn.x}, ${spawn.y} r${spawn.radius}`;
+
+        info.appendChild(name);
+        info.appendChild(position);
+
+        item.appendChild(info);
+
+        item.addEventListener('click', () => {
+            selectSpawn(spawn);
+        });
+
+        list.appendChild(item);
+    });
+}
+
+function deleteSpawn(spawn) {
+    const index = editor.spawns.indexOf(spawn);
+    if (index > -1) {
+        editor.spawns.splice(index, 1);
+        editor.selectedSpawn = null;
+        document.getElementById('spawnPropertiesPanel').style.display = 'none';
+        renderSpawnsList();
+        renderCanvas();
+        saveToLocalStorage();
+    }
+}
+
+// Update a numeric spawn property from its input, keeping the last valid value
+function updateSpawnNumber(input, field, min) {
+    const value = parseInt(input.value);
+    if (!editor.selectedSpawn) return;
+
+    if (isNaN(value) || value < min) {
+        input.value = editor.selectedSpawn[field];
+        return;
+    }
+
+    editor.selectedSpawn[field] = value;
+    renderSpawnsList();
+    renderCanvas();
+    saveToLocalStorage();
+}
+
+// NPC management functions
+function createNpc(x, y) {
+    const npc = {
+        id: editor.nextNpcId++,
+        npcType: editor.selectedNpc ? editor.selectedNpc.npcType : (editor.npcTypes[0] || 'tom'),
+        x: x,
+        y: y
+    };
+
+    editor.npcs.push(npc);
+    selectNpc(npc);
+    saveToLocalStorage();
+}
+
+function selectNpc(npc) {
+    editor.selectedNpc = npc;
+    renderNpcsList();
+    document.getElementById('npcPropertiesPanel').style.display = 'block';
+    document.getElementById('npcType').value = npc.npcType;
+    renderCanvas();
+}
+
+function renderNpcsList() {
+    const list = document.getElementById('npcsList');
+    list.innerHTML = '';
+
+    if (editor.npcs.length === 0) {
+        list.innerHTML = '<p style="color: #666; padding: 10px; text-align: center;">No NPCs yet</p>';
+        return;
+    }
+
+    editor.npcs.forEach(npc => {
+        const item = document.createElement('div');
+        item.className = 'sector-item';
+        if (npc === editor.selectedNpc) {
+            item.classList.add('active');
+        }
+
+        const info = document.createElement('div');
+        info.className = 'sector-info';
+
+        const name = document.createElement('div');
+        name.className = 'sector-name';
+        name.textContent = npc.npcType;
+
+        const position = document.createElement('div');
+        position.className = 'sector-bounds';
+        position.textContent = `${npc.x}, ${npc.y}`;
+
+        info.appendChild(name);
+        info.appendChild(position);
+
+        item.appendChild(info);
+
+        item.addEventListener('click', () => {
+            selectNpc(npc);
+        });
+
+        list.appendChild(item);
+    });
+}
+
+function deleteNpc(npc) {
+    const index = editor.npcs.indexOf(npc);
+    if (index > -1) {
+        editor.npcs.splice(index, 1);
+        editor.selectedNpc = null;
+        document.getElementById('npcPropertiesPanel').style.display = 'none';
+        renderNpcsList();
+        renderCanvas();
+        saveToLocalStorage();
+    }
+}
+
+// Switch between tile, sector, spawn and NPC editing
+function setEditorMode(mode) {
+    editor.editorMode = mode;
+    document.querySelectorAll('.mode-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    document.getElementById(`${mode}Mode`).classList.add('active');
+    editor.canvas.style.cursor = 'crosshair';
+}
+
 // Export to JSON
 function exportToJSON() {
     const data = {
@@ -808,7 +1152,9 @@ function exportToJSON() {
         tileSize: editor.tileSize,
         layers: editor.layers,
         spriteRegistry: editor.spriteRegistry,
-        sectors: editor.sectors
+        sectors: editor.sectors,
+        spawns: editor.spawns,
+        npcs: editor.npcs
     };
 
     const json = JSON.stringify(data, null, 2);
@@ -836,11 +1182,21 @@ function importFromJSON(file) {
             editor.layers = data.layers;
             editor.spriteRegistry = data.spriteRegistry || {};
             editor.sectors = data.sectors || [];
+            editor.spawns = data.spawns || [];
+            editor.selectedSpawn = null;
+            editor.npcs = data.npcs || [];
+            editor.selectedNpc = null;
 
-            // Update next sector ID
+            // Update next sector, spawn and NPC IDs
             if (editor.sectors.length > 0) {
                 editor.nextSectorId = Math.max(...editor.sectors.map(s => s.id)) + 1;
             }
+            if (editor.spawns.length > 0) {
+                editor.nextSpawnId = Math.max(...editor.spawns.map(s => s.id || 0)) + 1;
+            }
+            if (editor.npcs.length > 0) {
+                editor.nextNpcId = Math.max(...editor.npcs.map(n => n.id || 0)) + 1;
+            }
 
             // Update UI
             document.getElementById('mapWidth').value = editor.mapWidth;
@@ -853,6 +1209,8 @@ function importFromJSON(file) {
 
             renderCanvas();
             renderSectorsList();
+            renderSpawnsList();
+            renderNpcsList();
             updateStats();
             saveToHistory();
 
@@ -913,7 +1271,9 @@ function saveToLocalStorage() {
             mapWidth: editor.mapWidth,
             mapHeight: editor.mapHeight,
             tileSize: editor.tileSize,
-            sectors: editor.sectors
+            sectors: editor.sectors,
+            spawns: editor.spawns,
+            npcs: editor.npcs
         }));
     } catch (e) {
         console.warn('Could not save to localStorage:', e);
@@ -934,11 +1294,19 @@ function loadFromLocalStorage() {
                 editor.mapHeight = data.mapHeight;
                 editor.tileSize = data.tileSize;
                 editor.sectors = data.sectors || [];
+                editor.spawns = data.spawns || [];
+                editor.npcs = data.npcs || [];
 
-                // Update next sector ID
+                // Update next sector, spawn and NPC IDs
                 if (editor.sectors.length > 0) {
                     editor.nextSectorId = Math.max(...editor.sectors.map(s => s.id)) + 1;
                 }
+                if (editor.spawns.length > 0) {
+                    editor.nextSpawnId = Math.max(...editor.spawns.map(s => s.id || 0)) + 1;
+                }
+                if (editor.npcs.length > 0) {
+                    editor.nextNpcId = Math.max(...editor.npcs.map(n => n.id || 0)) + 1;
+                }
 
                 document.getElementById('mapWidth').value = editor.mapWidth;
                 document.getElementById('mapHeight').value = editor.mapHeight;
@@ -949,6 +1317,8 @@ function loadFromLocalStorage() {
 
                 renderCanvas();
                 renderSectorsList();
+                renderSpawnsList();
+                renderNpcsList();
                 updateStats();
             }
         }
@@ -1204,19 +1574,10 @@ function setupEventListeners() {
     });
 
     // Mode toggle
-    document.getElementById('tileMode').addEventListener('click', () => {
-        editor.editorMode = 'tile';
-        document.getElementById('tileMode').classList.add('active');
-        document.getElementById('sectorMode').classList.remove('active');
-        editor.canvas.style.cursor = 'crosshair';
-    });
-
-    document.getElementById('sectorMode').addEventListener('click', () => {
-        editor.editorMode = 'sector';
-        document.getElementById('sectorMode').classList.add('active');
-        document.getElementById('tileMode').classList.remove('active');
-        editor.canvas.style.cursor = 'crosshair';
-    });
+    document.getElementById('tileMode').addEventListener('click', () => setEditorMode('tile'));
+    document.getElementById('sectorMode').addEventListener('click', () => setEditorMode('sector'));
+    document.getElementById('spawnMode').addEventListener('click', () => setEditorMode('spawn'));
+    document.getElementById('npcMode').addEventListener('click', () => setEditorMode('npc'));
 
     // Show sectors toggle
     document.getElementById('showSectors').addEventListener('change', (e) => {
@@ -1227,9 +1588,7 @@ function setupEventListeners() {
     // Add sector button
     document.getElementById('addSectorBtn').addEventListener('click', () => {
         // Switch to sector mode and prompt user to draw
-        editor.editorMode = 'sector';
-        document.getElementById('sectorMode').classList.add('active');
-        document.getElementById('tileMode').classList.remove('active');
+        setEditorMode('sector');
         alert('Click and drag on the canvas to create a sector');
     });
 
@@ -1296,6 +1655,81 @@ function setupEventListeners() {
             }
         }
     });
+
+    // Show spawns toggle
+    document.getElementById('showSpawns').addEventListener('change', (e) => {
+        editor.showSpawns = e.target.checked;
+        renderCanvas();
+    });
+
+    // Add spawn button
+    document.getElementById('addSpawnBtn').addEventListener('click', () => {
+        setEditorMode('spawn');
+        alert('Click on the canvas to place a spawn, or on a spawn center to select it');
+    });
+
+    // Spawn property changes
+    document.getElementById('spawnCreatureType').addEventListener('change', (e) => {
+        const type = e.target.value.trim();
+        if (editor.selectedSpawn && type) {
+            editor.selectedSpawn.creatureType = type;
+            renderSpawnsList();
+            renderCanvas();
+            saveToLocalStorage();
+        }
+    });
+
+    document.getElementById('spawnRadius').addEventListener('change', (e) => {
+        updateSpawnNumber(e.target, 'radius', 0);
+    });
+
+    document.getElementById('spawnMaxCount').addEventListener('change', (e) => {
+        updateSpawnNumber(e.target, 'maxCount', 1);
+    });
+
+    document.getElementById('spawnRespawnInterval').addEventListener('change', (e) => {
+        updateSpawnNumber(e.target, 'respawnInterval', 1);
+    });
+
+    // Delete spawn
+    document.getElementById('deleteSpawnBtn').addEventListener('click', () => {
+        if (editor.selectedSpawn) {
+            if (confirm(`Delete ${editor.selectedSpawn.creatureType} spawn?`)) {
+                deleteSpawn(editor.selectedSpawn);
+            }
+        }
+    });
+
+    // Show NPCs toggle
+    document.getElementById('showNpcs').addEventListener('change', (e) => {
+        editor.showNpcs = e.target.checked;
+        renderCanvas();
+    });
+
+    // Add NPC button
+    document.getElementById('addNpcBtn').addEventListener('click', () => {
+        setEditorMode('npc');
+        alert('Click on the canvas to place an NPC, or on an NPC to select it');
+    });
+
+    document.getElementById('npcType').addEventListener('change', (e) => {
+        const type = e.target.value.trim();
+        if (editor.selectedNpc && type) {
+            editor.selectedNpc.npcType = type;
+            renderNpcsList();
+            renderCanvas();
+            saveToLocalStorage();
+        }
+    });
+
+    // Delete NPC
+    document.getElementById('deleteNpcBtn').addEventListener('click', () => {
+        if (editor.selectedNpc) {
+            if (confirm(`Delete ${editor.selectedNpc.npcType} NPC?`)) {
+                deleteNpc(editor.selectedNpc);
+            }
+        }
+    });
 }
 
 // Start the editor when page loads
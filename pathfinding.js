@@ -0,0 +1,229 @@
+// Grid pathfinding shared by the server (require) and the single player game (<script>)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Pathfinding = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Move costs scaled by 10 so diagonals (~1.4) stay integers
+    const STRAIGHT_COST = 10;
+    const DIAGONAL_COST = 14;
+
+    const DIRECTIONS = [
+        { x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 },
+        { x: 1, y: -1 }, { x: 1, y: 1 }, { x: -1, y: 1 }, { x: -1, y: -1 },
+    ];
+
+    // Octile distance: the exact cost on an empty 8-way grid
+    function heuristic(x, y, goal) {
+        const dx = Math.abs(x - goal.x);
+        const dy = Math.abs(y - goal.y);
+        return STRAIGHT_COST * Math.max(dx, dy) + (DIAGONAL_COST - STRAIGHT_COST) * Math.min(dx, dy);
+    }
+
+    function chebyshev(a, b) {
+        return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+    }
+
+    // Binary min-heap of search nodes ordered by f cost
+    class NodeHeap {
+        constructor() {
+            this.nodes = [];
+        }
+
+        get size() {
+            return this.nodes.length;
+        }
+
+        push(node) {
+            const nodes = this.nodes;
+            nodes.push(node);
+
+            let i = nodes.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (nodes[parent].f <= node.f) break;
+                nodes[i] = nodes[parent];
+                i = parent;
+            }
+            nodes[i] = node;
+        }
+
+        pop() {
+            const nodes = this.nodes;
+            const top = nodes[0];
+            const last = nodes.pop();
+
+            if (nodes.length > 0) {
+                let i = 0;
+                while (true) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    let smallestF = last.f;
+
+                    if (left < nodes.length && nodes[left].f < smallestF) {
+                        smallest = left;
+                        smallestF = nodes[left].f;
+                    }
+                    if (right < nodes.length && nodes[right].f < smallestF) {
+                        smallest = right;
+                    }
+                    if (smallest === i) break;
+
+                    nodes[i] = nodes[smallest];
+                    i = smallest;
+                }
+                nodes[i] = last;
+            }
+            return top;
+        }
+    }
+
+    // A* search on a tile grid with a node budget.
+    //
+    // isWalkable(x, y) decides which tiles can be entered. The search ends on
+    // any tile within `range` tiles (Chebyshev) of the goal, so range 1 finds a
+    // path to a tile next to a blocked target. Diagonal steps are only allowed
+    // when both tiles beside the corner are walkable, so paths never cut corners.
+    //
+    // Returns { path, complete, nodesSearched }, where path lists the steps after
+    // the start. When the node budget runs out, path leads to the explored tile
+    // closest to the goal and complete is false. The path is empty when no
+    // reachable tile is any closer to the goal.
+    function findPath(start, goal, isWalkable, options = {}) {
+        const range = options.range || 0;
+        const maxNodes = options.maxNodes || 2000;
+        const allowDiagonal = options.allowDiagonal !== false;
+
+        if (chebyshev(start, goal) <= range) {
+            return { path: [], complete: true, nodesSearched: 0 };
+        }
+
+        const key = (x, y) => `${x},${y}`;
+        const open = new NodeHeap();
+        const best = new Map(); // key -> cheapest g found
+        const startNode = { x: start.x, y: start.y, g: 0, h: heuristic(start.x, start.y, goal), parent: null };
+        startNode.f = startNode.h;
+
+        open.push(startNode);
+        best.set(key(start.x, start.y), 0);
+
+        let closest = startNode;
+        let nodesSearched = 0;
+
+        while (open.size > 0 && nodesSearched < maxNodes) {
+            const node = open.pop();
+            if (node.g > best.get(key(node.x, node.y))) continue; // Stale heap entry
+            nodesSearched++;
+
+            if (chebyshev(node, goal) <= range) {
+                return { path: buildPath(node), complete: true, nodesSearched };
+            }
+            if (node.h < closest.h) {
+                closest = node;
+            }
+
+            for (let i = 0; i < (allowDiagonal ? 8 : 4); i++) {
+                const dir = DIRECTIONS[i];
+                const x = node.x + dir.x;
+                const y = node.y + dir.y;
+                const diagonal = dir.x !== 0 && dir.y !== 0;
+
+                if (!isWalkable(x, y)) continue;
+                if (diagonal && (!isWalkable(node.x + dir.x, node.y) || !isWalkable(node.x, node.y + dir.y))) {
+                    continue;
+                }
+
+                const g = node.g + (diagonal ? DIAGONAL_COST : STRAIGHT_COST);
+                const k = key(x, y);
+                if (best.has(k) && best.get(k) <= g) continue;
+
+                best.set(k, g);
+                const h = heuristic(x, y, goal);
+                open.push({ x, y, g, h, f: g + h, parent: node });
+            }
+        }
+
+        return { path: buildPath(closest), complete: false, nodesSearched };
+    }
+
+    function buildPath(node) {
+        const path = [];
+        while (node.parent) {
+            path.push({ x: node.x, y: node.y });
+            node = node.parent;
+        }
+        return path.reverse();
+    }
+
+    // Shares a node budget between all searches in one game tick so that many
+    // entities replanning at once on a large map cannot stall the loop
+    class PathFinder {
+        constructor(options = {}) {
+            this.maxNodesPerSearch = options.maxNodesPerSearch || 2000;
+            this.maxNodesPerTick = options.maxNodesPerTick || 10000;
+            this.allowDiagonal = options.allowDiagonal !== false;
+            this.budget = this.maxNodesPerTick;
+        }
+
+        // Call once at the start of every tick
+        startTick() {
+            this.budget = this.maxNodesPerTick;
+        }
+
+        // Like findPath(), but returns undefined when this tick's budget is spent
+        findPath(start, goal, isWalkable, range = 0) {
+            if (this.budget <= 0) return undefined;
+
+            const result = findPath(start, goal, isWalkable, {
+                range,
+                maxNodes: Math.min(this.maxNodesPerSearch, this.budget),
+                allowDiagonal: this.allowDiagonal,
+            });
+            this.budget -= Math.max(1, result.nodesSearched);
+            return result;
+        }
+    }
+
+    // Caches one entity's path and replans when the target has moved away
+    // from where the path was planned to, or the next step became blocked
+    class PathFollower {
+        constructor(finder, options = {}) {
+            this.finder = finder;
+            this.replanDistance = options.replanDistance || 2;
+            this.path = [];
+            this.goal = null;
+        }
+
+        clear() {
+            this.path = [];
+            this.goal = null;
+        }
+
+        // Next tile to step to from `from` towards `goal`, or null to wait
+        nextStep(from, goal, isWalkable, range = 0) {
+            const goalMoved = !this.goal || chebyshev(this.goal, goal) >= this.replanDistance;
+            const next = this.path[0];
+            const offPath = next && chebyshev(next, from) !== 1;
+            const blocked = next && !isWalkable(next.x, next.y);
+
+            if (goalMoved || offPath || blocked || this.path.length === 0) {
+                const result = this.finder.findPath(from, goal, isWalkable, range);
+                if (result === undefined) return null; // Out of budget, try next tick
+
+                this.goal = { x: goal.x, y: goal.y };
+                this.path = result.path;
+            }
+
+            return this.path.length > 0 ? this.path.shift() : null;
+        }
+    }
+
+    return {
+        findPath,
+        PathFinder,
+        PathFollower,
+    };
+});
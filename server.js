@@ -2,6 +2,12 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { PathFinder, PathFollower } = require('./pathfinding');
+
+const scrypt = promisify(crypto.scrypt);
 
 const app = express();
 const server = http.createServer(app);
@@ -16,7 +22,29 @@ const gameState = {
     monsters: [],
     fireballs: [],
     map: [],
+    mapWidth: 0,
+    mapHeight: 0,
+    mapData: null, // Layers, sprite registry and sectors when loaded from a map file
+    accounts: {}, // account key (lowercase name) -> account record
+    creatures: {}, // creature type -> definition from data/creatures.json
+    items: {}, // item id -> definition from data/items.json
+    spells: {}, // spell id -> definition from data/spells.json
+    npcTypes: {}, // npc type -> definition from data/npcs.json
+    npcs: [], // NPCs placed on the map
+    quests: {}, // quest id -> definition from data/quests.json
+    monsterPaths: new Map(), // monsterId -> PathFollower
+    spawns: [], // Spawn areas with their pending respawns
+    groundItems: new Map(), // "x,y" -> stack of items and corpses, top last
+    corpses: [], // Corpses on the ground, oldest first, for decay
+    nextGroundItemId: 1,
     nextPlayerId: 1,
+    clients: new Map(), // playerId -> WebSocket of the client controlling it
+    playerGrid: new Map(), // "cellX,cellY" -> players in that area of interest cell
+    monsterGrid: new Map(), // "cellX,cellY" -> monsters in that cell
+    npcGrid: new Map(), // "cellX,cellY" -> NPCs in that cell
+    views: new Map(), // playerId -> { player, monster, npc, chunks } ids its client knows
+    watchers: new Map(), // "kind:id" -> ids of the players whose client knows the entity
+    chunkWatchers: new Map(), // "chunkX,chunkY" -> ids of the players with the chunk loaded
 };
 
 // Configuration
@@ -24,10 +52,123 @@ const CONFIG = {
     TILE_SIZE: 32,
     MAP_WIDTH: 20,
     MAP_HEIGHT: 15,
-    MONSTER_COUNT: 3,
+    MONSTER_COUNT: 3, // Population of the whole map spawn used when a map has no spawns
     TICK_RATE: 60, // Server updates per second
+    MAP_FILE: process.env.MAP_FILE || process.argv[2] || null, // Map editor JSON export
+    MAP_FORMAT_VERSION: '1.0',
+    // Sprite id from sprites_output/ (null draws the emoji instead)
+    FIREBALL_SPRITE_ID: null,
+    CREATURES_FILE: path.join(__dirname, 'data', 'creatures.json'),
+    ITEMS_FILE: path.join(__dirname, 'data', 'items.json'),
+    SPELLS_FILE: path.join(__dirname, 'data', 'spells.json'),
+    NPCS_FILE: path.join(__dirname, 'data', 'npcs.json'),
+    QUESTS_FILE: path.join(__dirname, 'data', 'quests.json'),
+    BACKPACK_SIZE: 20,
+    ITEM_MAX_STACK: 100,
+    BASE_CAPACITY: 400, // Ounces a level 1 character can carry
+    CAPACITY_PER_LEVEL: 10,
+    ITEM_THROW_RANGE: 3, // Tiles away a player can drop or move ground items to
+    CORPSE_DECAY_TIME: 60000, // Milliseconds until a corpse and its loot disappear
+    LOOT_PROTECTION_TIME: 10000, // Milliseconds only the killer can open a corpse
+    DEFAULT_MONSTER_TYPES: ['rat', 'goblin', 'orc'], // Spawned outside sectors with a monsterType
+    MONSTER_BEHAVIOUR: { // Defaults for creatures that don't set these
+        aggroRadius: 5, // Tiles within which an idle monster notices players
+        leashRadius: 12, // Tiles from its spawn point before a monster gives up
+        wanderRadius: 3, // Tiles from its spawn point an idle monster wanders
+        fleeHealth: 0, // Fraction of max health at which it runs away
+    },
+    MONSTER_WANDER_INTERVAL: 2000, // Average milliseconds between idle steps
+    MONSTER_PROVOKED_TIME: 5000, // Milliseconds a hit keeps a monster fighting past its leash
+    MONSTER_RETURN_ATTEMPTS: 10, // Blocked steps home before a monster is put back at its spawn
+    DEFAULT_RESPAWN_INTERVAL: 5000,
+    SPAWN_ATTEMPTS: 50, // Random tiles tried per spawn before waiting
+    SPAWN_RETRY_DELAY: 1000, // Milliseconds before trying a blocked spawn again
+    SPAWN_SIGHT_RANGE: { x: 8, y: 6 }, // Half the 15x11 client view, plus a tile
+    AOI_CELL_SIZE: 8, // Tiles per side of a spatial grid cell
+    AOI_RANGE: { x: 9, y: 7 }, // Tiles around a player its client hears about: the view plus two
+    MAP_CHUNK_SIZE: 16, // Tiles per side of a streamed map chunk
+    MAP_CHUNK_RADIUS: 1, // Chunks around the player's chunk that are sent
+    PATH_MAX_NODES_PER_SEARCH: 2000,
+    PATH_MAX_NODES_PER_TICK: 10000, // Shared by all monsters so big maps stay fast
+    FIREBALL_SPEED: 8, // Pixels per client frame, same as the client
+    FIREBALL_FRAME_RATE: 60, // Client frames per second the speed is based on
+    FIREBALL_HIT_RADIUS: 16, // Pixels from a monster's or player's center
+    BASE_SPEED: 220,
+    SPEED_PER_LEVEL: 2,
+    STEP_SPEED_SCALE: 44000, // A straight step takes this / speed milliseconds (200 at 220)
+    DIAGONAL_STEP_FACTOR: Math.SQRT2, // Diagonal steps take this much longer
+    PLAYER_STEP_TOLERANCE: 50, // Allowance for messages bunching up in transit
+    ACCOUNTS_FILE: process.env.ACCOUNTS_FILE || path.join(__dirname, 'saves', 'accounts.json'),
+    AUTOSAVE_INTERVAL: 60000,
+    PASSWORD_MIN_LENGTH: 6,
+    PASSWORD_KEY_LENGTH: 64,
+    RESPAWN_DELAY: 3000, // Milliseconds a dead player stays a ghost
+    LOGOUT_LINGER_TIME: 60000, // Milliseconds a character stays after disconnecting in a no-logout zone
+    PZ_LOCK_TIME: 60000, // Milliseconds after attacking a player before entering a protection zone or logging out
+    WHITE_SKULL_TIME: 900000, // Milliseconds a white skull lasts after the last unjustified attack
+    FRAG_TIME: 86400000, // Milliseconds an unjustified kill counts as a frag
+    RED_SKULL_FRAGS: 3, // Frags that earn a red skull
+    DEATH_EXPERIENCE_LOSS: 0.1, // Fraction of experience lost on death
+    BASE_HEALTH: 100,
+    BASE_MANA: 50,
+    HEALTH_PER_LEVEL: 10,
+    MANA_PER_LEVEL: 10,
+    MANA_REGEN_AMOUNT: 2,
+    MANA_REGEN_INTERVAL: 2000, // Milliseconds between mana regeneration ticks
+    // A cast also blocks every other spell of its group for this long
+    SPELL_GROUP_COOLDOWNS: { attack: 1000, healing: 1000, support: 2000 },
+    MELEE_MIN_DAMAGE: 8,
+    MELEE_MAX_DAMAGE: 12,
+    ATTACK_SPEED: 2000, // Milliseconds between auto-attacks with no weapon or one without an attackSpeed
+    CHAT_MAX_LENGTH: 255,
+    CHAT_SAY_RANGE: { x: 7, y: 5 }, // Tiles, the size of the client view
+    CHAT_YELL_RANGE: { x: 30, y: 30 },
+    CHAT_RATE_LIMIT: 5, // Messages allowed per window
+    CHAT_RATE_WINDOW: 5000,
+    CHAT_CHANNELS: ['global', 'trade'], // Heard by every player online
+    NPC_TALK_RANGE: 3, // Tiles a player can be from an NPC to talk to it
+    NPC_IDLE_TIMEOUT: 60000, // Milliseconds of silence before an NPC ends a conversation
+    NPC_GREET_WORDS: ['hi', 'hello'],
+    NPC_FAREWELL_WORDS: ['bye', 'farewell'],
+    NPC_TRADE_WORDS: ['trade', 'offer'],
+    CURRENCY_ITEM: 'gold_coin', // What NPC shops take and pay
+    // Skill tries needed grow by triesMultiplier each level
+    SKILLS: {
+        melee: { startLevel: 10, baseTries: 20, triesMultiplier: 1.1, damageBonus: 0.05 },
+        magic: { startLevel: 0, baseTries: 5, triesMultiplier: 1.4, damageBonus: 0.1 },
+    },
 };
 
+// Character fields saved with the account and restored on login
+const CHARACTER_FIELDS = [
+    'x', 'y', 'health', 'maxHealth', 'mana', 'maxMana',
+    'experience', 'level', 'skills', 'deaths', 'inventory', 'equipment',
+    'frags', 'whiteSkullUntil', 'storage',
+];
+
+const EQUIPMENT_SLOTS = ['head', 'armor', 'legs', 'weapon', 'shield', 'ring', 'amulet'];
+
+// Attributes items can have, all adding up across equipped items
+const ITEM_ATTRIBUTES = ['attack', 'defense', 'armor', 'speed'];
+
+const SPELL_TYPES = ['instant', 'rune', 'projectile'];
+const SPELL_EFFECTS = ['damage', 'heal', 'buff'];
+
+// What NPC dialogue rules can check and do, see data/npcs.json
+const NPC_CONDITION_TYPES = ['item', 'level', 'storage'];
+const NPC_ACTION_TYPES = ['takeItem', 'giveItem', 'trade', 'setStorage'];
+
+// What each quest objective type counts, by the objective field naming it
+const QUEST_OBJECTIVES = { kill: 'creatureType', pickup: 'itemId', zone: 'zone' };
+
+// Entity kinds kept in the area of interest grids and player views
+const ENTITY_KINDS = ['player', 'monster', 'npc'];
+
+const pathFinder = new PathFinder({
+    maxNodesPerSearch: CONFIG.PATH_MAX_NODES_PER_SEARCH,
+    maxNodesPerTick: CONFIG.PATH_MAX_NODES_PER_TICK,
+});
+
 // Generate map (same logic as client)
 function generateMap() {
     const TILES = {
@@ -66,337 +207,3729 @@ function generateMap() {
     return map;
 }
 
-// Initialize game
-function initGame() {
-    gameState.map = generateMap();
+// Validate map data against the map editor's export format
+function validateMapData(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Map file does not contain a JSON object');
+    }
+    if (data.version !== CONFIG.MAP_FORMAT_VERSION) {
+        throw new Error(`Unsupported map version "${data.version}" (expected "${CONFIG.MAP_FORMAT_VERSION}")`);
+    }
+    if (!Number.isInteger(data.mapWidth) || data.mapWidth <= 0 ||
+        !Number.isInteger(data.mapHeight) || data.mapHeight <= 0) {
+        throw new Error('mapWidth and mapHeight must be positive integers');
+    }
+    if (!Array.isArray(data.layers) || data.layers.length === 0) {
+        throw new Error('Map must have at least one layer');
+    }
 
-    // Spawn initial monsters
-    for (let i = 0; i < CONFIG.MONSTER_COUNT; i++) {
-        spawnMonster();
+    data.layers.forEach((layer, index) => {
+        if (!Array.isArray(layer.tiles) || layer.tiles.length !== data.mapHeight) {
+            throw new Error(`Layer ${index} must have ${data.mapHeight} rows of tiles`);
+        }
+        layer.tiles.forEach((row, y) => {
+            if (!Array.isArray(row) || row.length !== data.mapWidth) {
+                throw new Error(`Layer ${index} row ${y} must have ${data.mapWidth} tiles`);
+            }
+            row.forEach((tile, x) => {
+                if (tile !== null && (typeof tile !== 'object' || !Number.isInteger(tile.spriteId))) {
+                    throw new Error(`Layer ${index} tile (${x}, ${y}) has no valid spriteId`);
+                }
+            });
+        });
+    });
+
+    if (data.spriteRegistry !== undefined &&
+        (typeof data.spriteRegistry !== 'object' || Array.isArray(data.spriteRegistry))) {
+        throw new Error('spriteRegistry must be an object keyed by sprite id');
+    }
+    if (data.sectors !== undefined && !Array.isArray(data.sectors)) {
+        throw new Error('sectors must be an array');
+    }
+    if (data.spawns !== undefined) {
+        if (!Array.isArray(data.spawns)) {
+            throw new Error('spawns must be an array');
+        }
+        data.spawns.forEach((spawn, index) => {
+            if (typeof spawn.creatureType !== 'string' || !spawn.creatureType) {
+                throw new Error(`Spawn ${index} needs a creatureType`);
+            }
+            if (!Number.isInteger(spawn.x) || spawn.x < 0 || spawn.x >= data.mapWidth ||
+                !Number.isInteger(spawn.y) || spawn.y < 0 || spawn.y >= data.mapHeight) {
+                throw new Error(`Spawn ${index} must be on the map`);
+            }
+            if (!Number.isInteger(spawn.radius) || spawn.radius < 0) {
+                throw new Error(`Spawn ${index} needs a radius of 0 or more`);
+            }
+            if (!Number.isInteger(spawn.maxCount) || spawn.maxCount <= 0) {
+                throw new Error(`Spawn ${index} needs a positive maxCount`);
+            }
+            if (typeof spawn.respawnInterval !== 'number' || spawn.respawnInterval <= 0) {
+                throw new Error(`Spawn ${index} needs a positive respawnInterval`);
+            }
+        });
+    }
+    if (data.npcs !== undefined) {
+        if (!Array.isArray(data.npcs)) {
+            throw new Error('npcs must be an array');
+        }
+        data.npcs.forEach((npc, index) => {
+            if (typeof npc.npcType !== 'string' || !npc.npcType) {
+                throw new Error(`NPC ${index} needs an npcType`);
+            }
+            if (!Number.isInteger(npc.x) || npc.x < 0 || npc.x >= data.mapWidth ||
+                !Number.isInteger(npc.y) || npc.y < 0 || npc.y >= data.mapHeight) {
+                throw new Error(`NPC ${index} must be on the map`);
+            }
+        });
     }
 }
 
-// Spawn a monster at random walkable position
-function spawnMonster() {
-    let x, y;
-    do {
-        x = Math.floor(Math.random() * CONFIG.MAP_WIDTH);
-        y = Math.floor(Math.random() * CONFIG.MAP_HEIGHT);
-    } while (!gameState.map[y][x].walkable);
+// Build the walkability grid from map editor layers. A tile is walkable when
+// it has at least one sprite and none of its sprites are marked unwalkable.
+function buildMapFromEditorData(data) {
+    const registry = data.spriteRegistry || {};
+    const map = [];
 
-    const monster = {
-        id: Date.now() + Math.random(),
-        x,
-        y,
-        health: 50,
-        maxHealth: 50,
-        emoji: '👹',
-        lastMove: Date.now(),
-    };
+    for (let y = 0; y < data.mapHeight; y++) {
+        const row = [];
+        for (let x = 0; x < data.mapWidth; x++) {
+            let hasSprite = false;
+            let walkable = true;
 
-    gameState.monsters.push(monster);
-    return monster;
+            data.layers.forEach(layer => {
+                const tile = layer.tiles[y][x];
+                if (!tile) return;
+
+                hasSprite = true;
+                const entry = registry[tile.spriteId];
+                if (entry && entry.walkable === false) {
+                    walkable = false;
+                }
+            });
+
+            walkable = hasSprite && walkable;
+            row.push({
+                emoji: walkable ? '🟩' : '⬛',
+                walkable: walkable,
+            });
+        }
+        map.push(row);
+    }
+    return map;
 }
 
-// Find spawn position for new player
-function findSpawnPosition() {
-    let x, y;
-    let attempts = 0;
-    do {
-        x = Math.floor(Math.random() * (CONFIG.MAP_WIDTH - 4)) + 2;
-        y = Math.floor(Math.random() * (CONFIG.MAP_HEIGHT - 4)) + 2;
-        attempts++;
-    } while (!gameState.map[y][x].walkable && attempts < 100);
+// Load a map editor JSON export from disk
+function loadMapFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    validateMapData(data);
 
-    return { x, y };
+    const map = buildMapFromEditorData(data);
+    if (!map.some(row => row.some(tile => tile.walkable))) {
+        throw new Error('Map has no walkable tiles');
+    }
+
+    return {
+        map,
+        spawns: data.spawns || [],
+        npcs: data.npcs || [],
+        mapData: {
+            tileSize: data.tileSize || CONFIG.TILE_SIZE,
+            layers: data.layers,
+            spriteRegistry: data.spriteRegistry || {},
+            sectors: data.sectors || [],
+        },
+    };
 }
 
-// Broadcast to all connected clients
-function broadcast(message, excludeClient = null) {
-    wss.clients.forEach(client => {
-        if (client !== excludeClient && client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify(message));
+// Initialize game
+function initGame() {
+    let mapSpawns = [];
+    let mapNpcs = [];
+
+    if (CONFIG.MAP_FILE) {
+        const mapPath = path.resolve(CONFIG.MAP_FILE);
+        try {
+            const loaded = loadMapFile(mapPath);
+            gameState.map = loaded.map;
+            gameState.mapData = loaded.mapData;
+            mapSpawns = loaded.spawns;
+            mapNpcs = loaded.npcs;
+            console.log(`Loaded map from ${mapPath}`);
+        } catch (error) {
+            console.error(`Failed to load map ${mapPath}: ${error.message}`);
+            process.exit(1);
         }
-    });
-}
+    } else {
+        gameState.map = generateMap();
+    }
 
-// Send to specific client
-function sendToClient(client, message) {
-    if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(message));
+    try {
+        gameState.creatures = loadCreatureDefinitions();
+        checkDefaultMonsterTypes();
+        console.log(`Loaded ${Object.keys(gameState.creatures).length} creature types`);
+    } catch (error) {
+        console.error(`Failed to load creatures from ${CONFIG.CREATURES_FILE}: ${error.message}`);
+        process.exit(1);
     }
-}
 
-// WebSocket connection handler
-wss.on('connection', (ws) => {
-    console.log('New client connected');
+    try {
+        gameState.items = loadItemDefinitions();
+        console.log(`Loaded ${Object.keys(gameState.items).length} item types`);
+        checkLootTables();
+    } catch (error) {
+        console.error(`Failed to load items from ${CONFIG.ITEMS_FILE}: ${error.message}`);
+        process.exit(1);
+    }
 
-    const playerId = gameState.nextPlayerId++;
-    const spawnPos = findSpawnPosition();
+    try {
+        gameState.spells = loadSpellDefinitions();
+        console.log(`Loaded ${Object.keys(gameState.spells).length} spells`);
+    } catch (error) {
+        console.error(`Failed to load spells from ${CONFIG.SPELLS_FILE}: ${error.message}`);
+        process.exit(1);
+    }
 
-    // Create new player
-    const player = {
-        id: playerId,
-        x: spawnPos.x,
-        y: spawnPos.y,
-        health: 100,
-        maxHealth: 100,
-        emoji: '🧙',
-        name: `Player${playerId}`,
-    };
+    try {
+        gameState.quests = loadQuestDefinitions();
+        console.log(`Loaded ${Object.keys(gameState.quests).length} quests`);
+    } catch (error) {
+        console.error(`Failed to load quests from ${CONFIG.QUESTS_FILE}: ${error.message}`);
+        process.exit(1);
+    }
 
-    gameState.players.set(playerId, player);
-    ws.playerId = playerId;
+    try {
+        gameState.npcTypes = loadNpcDefinitions();
+        console.log(`Loaded ${Object.keys(gameState.npcTypes).length} NPC types`);
+    } catch (error) {
+        console.error(`Failed to load NPCs from ${CONFIG.NPCS_FILE}: ${error.message}`);
+        process.exit(1);
+    }
 
-    // Send initial game state to new player
-    sendToClient(ws, {
-        type: 'init',
-        playerId: playerId,
-        map: gameState.map,
-        players: Array.from(gameState.players.values()),
-        monsters: gameState.monsters,
+    gameState.mapHeight = gameState.map.length;
+    gameState.mapWidth = gameState.map[0].length;
+
+    try {
+        gameState.npcs = createNpcs(mapNpcs);
+    } catch (error) {
+        console.error(`Invalid NPC: ${error.message}`);
+        process.exit(1);
+    }
+
+    try {
+        gameState.spawns = createSpawns(mapSpawns);
+    } catch (error) {
+        console.error(`Invalid spawn: ${error.message}`);
+        process.exit(1);
+    }
+
+    // Spawn initial monsters
+    gameState.spawns.forEach(spawn => {
+        for (let i = 0; i < spawn.maxCount; i++) {
+            if (!spawnMonster(spawn)) {
+                spawn.respawnAt.push(Date.now() + CONFIG.SPAWN_RETRY_DELAY);
+            }
+        }
     });
+    console.log(`Populated ${gameState.spawns.length} spawns with ${gameState.monsters.length} monsters`);
+}
 
-    // Notify other players
-    broadcast({
-        type: 'playerJoined',
-        player: player,
-    }, ws);
+// Runtime spawns from the map's spawn areas. Maps without any get a single
+// spawn covering the whole map that picks creature types by sector.
+function createSpawns(mapSpawns) {
+    if (mapSpawns.length === 0) {
+        return [{
+            id: 0,
+            creatureType: null,
+            radius: Infinity,
+            maxCount: CONFIG.MONSTER_COUNT,
+            respawnInterval: CONFIG.DEFAULT_RESPAWN_INTERVAL,
+            respawnAt: [],
+        }];
+    }
 
-    console.log(`Player ${playerId} joined at (${spawnPos.x}, ${spawnPos.y})`);
+    return mapSpawns.map((spawn, index) => {
+        if (!gameState.creatures[spawn.creatureType]) {
+            throw new Error(`Spawn ${index} has unknown creature type "${spawn.creatureType}"`);
+        }
+        return {
+            id: index + 1,
+            creatureType: spawn.creatureType,
+            x: spawn.x,
+            y: spawn.y,
+            radius: spawn.radius,
+            maxCount: spawn.maxCount,
+            respawnInterval: spawn.respawnInterval * 1000, // Seconds in the map file
+            respawnAt: [], // Times at which dead monsters come back
+        };
+    });
+}
 
-    // Handle messages from client
-    ws.on('message', (data) => {
-        try {
-            const message = JSON.parse(data);
-            handleClientMessage(ws, message);
-        } catch (error) {
-            console.error('Error parsing message:', error);
+// Runtime NPCs from the map. They stand where they were placed and block
+// the tile like any other creature.
+function createNpcs(mapNpcs) {
+    return mapNpcs.map((placed, index) => {
+        const npcType = gameState.npcTypes[placed.npcType];
+        if (!npcType) {
+            throw new Error(`NPC ${index} has unknown NPC type "${placed.npcType}"`);
+        }
+        if (!isValidMove(placed.x, placed.y)) {
+            throw new Error(`NPC ${index} stands on a tile that is not walkable`);
         }
+
+        const npc = {
+            id: index + 1,
+            npcType: placed.npcType,
+            name: npcType.name,
+            emoji: npcType.emoji,
+            spriteId: npcType.spriteId || null,
+            nameColor: npcType.nameColor,
+            x: placed.x,
+            y: placed.y,
+            direction: 'south',
+        };
+        addToGrid('npc', npc);
+        return npc;
     });
+}
 
-    // Handle disconnect
-    ws.on('close', () => {
-        console.log(`Player ${playerId} disconnected`);
-        gameState.players.delete(playerId);
+// Load and check creature definitions
+function loadCreatureDefinitions() {
+    const creatures = JSON.parse(fs.readFileSync(CONFIG.CREATURES_FILE, 'utf8'));
 
-        broadcast({
-            type: 'playerLeft',
-            playerId: playerId,
+    Object.entries(creatures).forEach(([type, creature]) => {
+        ['name', 'emoji'].forEach(field => {
+            if (typeof creature[field] !== 'string') {
+                throw new Error(`Creature "${type}" needs a ${field}`);
+            }
+        });
+        ['health', 'speed', 'attackRange', 'attackInterval', 'experience'].forEach(field => {
+            if (typeof creature[field] !== 'number' || creature[field] <= 0) {
+                throw new Error(`Creature "${type}" needs a positive ${field}`);
+            }
+        });
+        if (!creature.damage || !(creature.damage.min <= creature.damage.max)) {
+            throw new Error(`Creature "${type}" needs damage with min <= max`);
+        }
+        if (!Array.isArray(creature.loot)) {
+            creature.loot = [];
+        }
+        if (creature.directionSpriteIds !== undefined && typeof creature.directionSpriteIds !== 'object') {
+            throw new Error(`Creature "${type}" directionSpriteIds must map directions to sprite ids`);
+        }
+        Object.entries(CONFIG.MONSTER_BEHAVIOUR).forEach(([field, value]) => {
+            if (typeof creature[field] !== 'number') {
+                creature[field] = value;
+            }
         });
     });
-});
 
-// Handle client messages
-function handleClientMessage(ws, message) {
-    const playerId = ws.playerId;
-    const player = gameState.players.get(playerId);
+    return creatures;
+}
 
-    if (!player) return;
+// Load and check item definitions
+function loadItemDefinitions() {
+    const items = JSON.parse(fs.readFileSync(CONFIG.ITEMS_FILE, 'utf8'));
 
-    switch (message.type) {
-        case 'move':
-            const { x, y } = message;
-            if (isValidMove(x, y)) {
-                player.x = x;
-                player.y = y;
-
-                broadcast({
-                    type: 'playerMoved',
-                    playerId: playerId,
-                    x: x,
-                    y: y,
-                });
+    Object.entries(items).forEach(([id, item]) => {
+        ['name', 'emoji'].forEach(field => {
+            if (typeof item[field] !== 'string') {
+                throw new Error(`Item "${id}" needs a ${field}`);
             }
-            break;
-
-        case 'fireball':
-            const fireball = {
-                id: Date.now() + Math.random(),
-                playerId: playerId,
-                startX: player.x,
-                startY: player.y,
-                targetX: message.targetX,
-                targetY: message.targetY,
-                timestamp: Date.now(),
-            };
+        });
+        if (typeof item.weight !== 'number' || item.weight < 0) {
+            throw new Error(`Item "${id}" needs a weight of 0 or more`);
+        }
+        if (item.slot !== null && item.slot !== undefined && !EQUIPMENT_SLOTS.includes(item.slot)) {
+            throw new Error(`Item "${id}" has unknown slot "${item.slot}"`);
+        }
+        if (item.attackSpeed !== undefined && !(typeof item.attackSpeed === 'number' && item.attackSpeed > 0)) {
+            throw new Error(`Item "${id}" needs an attackSpeed above 0`);
+        }
+        item.stackable = !!item.stackable;
+        item.slot = item.slot || null;
+        item.attributes = item.attributes || {};
+    });
 
-            gameState.fireballs.push(fireball);
+    return items;
+}
 
-            broadcast({
-                type: 'fireballCast',
-                fireball: fireball,
-            });
-            break;
+// Load and check spell definitions. Area patterns are rows of '1' for hit
+// tiles and 'c' for the center, which is hit too; they become tile offsets.
+function loadSpellDefinitions() {
+    const spells = JSON.parse(fs.readFileSync(CONFIG.SPELLS_FILE, 'utf8'));
 
-        case 'attack':
-            // Handle melee attack on monster
-            const targetMonsterId = message.monsterId;
-            const monster = gameState.monsters.find(m => m.id === targetMonsterId);
-
-            if (monster) {
-                const damage = Math.floor(Math.random() * 5) + 8; // 8-12 damage
-                monster.health -= damage;
-
-                if (monster.health <= 0) {
-                    // Remove dead monster
-                    gameState.monsters = gameState.monsters.filter(m => m.id !== targetMonsterId);
-
-                    broadcast({
-                        type: 'monsterDied',
-                        monsterId: targetMonsterId,
-                    });
-
-                    // Spawn new monster after delay
-                    setTimeout(() => {
-                        const newMonster = spawnMonster();
-                        broadcast({
-                            type: 'monsterSpawned',
-                            monster: newMonster,
-                        });
-                    }, 5000);
-                } else {
-                    broadcast({
-                        type: 'monsterDamaged',
-                        monsterId: targetMonsterId,
-                        health: monster.health,
-                        damage: damage,
-                    });
-                }
+    Object.entries(spells).forEach(([id, spell]) => {
+        ['name', 'emoji'].forEach(field => {
+            if (typeof spell[field] !== 'string') {
+                throw new Error(`Spell "${id}" needs a ${field}`);
             }
-            break;
-
-        case 'fireballHit':
-            // Client detected fireball hit
-            const hitMonsterId = message.monsterId;
-            const hitMonster = gameState.monsters.find(m => m.id === hitMonsterId);
-
-            if (hitMonster) {
-                const damage = 15;
-                hitMonster.health -= damage;
-
-                if (hitMonster.health <= 0) {
-                    gameState.monsters = gameState.monsters.filter(m => m.id !== hitMonsterId);
-
-                    broadcast({
-                        type: 'monsterDied',
-                        monsterId: hitMonsterId,
-                    });
-
-                    setTimeout(() => {
-                        const newMonster = spawnMonster();
-                        broadcast({
-                            type: 'monsterSpawned',
-                            monster: newMonster,
-                        });
-                    }, 5000);
-                } else {
-                    broadcast({
-                        type: 'monsterDamaged',
-                        monsterId: hitMonsterId,
-                        health: hitMonster.health,
-                        damage: damage,
-                    });
-                }
+        });
+        if (!SPELL_TYPES.includes(spell.type)) {
+            throw new Error(`Spell "${id}" has unknown type "${spell.type}"`);
+        }
+        if (!SPELL_EFFECTS.includes(spell.effect)) {
+            throw new Error(`Spell "${id}" has unknown effect "${spell.effect}"`);
+        }
+        if (CONFIG.SPELL_GROUP_COOLDOWNS[spell.group] === undefined) {
+            throw new Error(`Spell "${id}" has unknown cooldown group "${spell.group}"`);
+        }
+        ['mana', 'level', 'cooldown'].forEach(field => {
+            if (typeof spell[field] !== 'number' || spell[field] < 0) {
+                throw new Error(`Spell "${id}" needs a ${field} of 0 or more`);
             }
-            break;
+        });
+        if (spell.type === 'instant' && typeof spell.words !== 'string') {
+            throw new Error(`Spell "${id}" needs words to be cast`);
+        }
+        if (spell.type === 'rune' && (!gameState.items[spell.rune] || !(spell.range > 0))) {
+            throw new Error(`Spell "${id}" needs a known rune item and a range`);
+        }
+        if (spell.effect === 'buff') {
+            if (!ITEM_ATTRIBUTES.includes(spell.buff && spell.buff.attribute) || !(spell.buff.duration > 0)) {
+                throw new Error(`Spell "${id}" needs a buff with an attribute and a duration`);
+            }
+        } else if (!spell.power || !(spell.power.min <= spell.power.max)) {
+            throw new Error(`Spell "${id}" needs power with min <= max`);
+        }
+
+        spell.id = id;
+        spell.words = spell.words ? spell.words.toLowerCase() : null;
+        spell.offsets = parseSpellArea(id, spell.area);
+    });
+
+    if (!spells.fireball || spells.fireball.type !== 'projectile') {
+        throw new Error('A projectile spell named "fireball" is needed for clicks');
     }
+    return spells;
 }
 
-// Validate move
-function isValidMove(x, y) {
-    if (x < 0 || x >= CONFIG.MAP_WIDTH || y < 0 || y >= CONFIG.MAP_HEIGHT) {
-        return false;
+function parseSpellArea(id, area) {
+    if (!area) {
+        return [{ x: 0, y: 0 }];
     }
-    return gameState.map[y][x].walkable;
+
+    const rows = area.join('');
+    if (rows.split('c').length !== 2) {
+        throw new Error(`Spell "${id}" area needs exactly one center "c"`);
+    }
+    const centerY = area.findIndex(row => row.includes('c'));
+    const centerX = area[centerY].indexOf('c');
+
+    const offsets = [];
+    area.forEach((row, y) => {
+        row.split('').forEach((cell, x) => {
+            if (cell === '1' || cell === 'c') {
+                offsets.push({ x: x - centerX, y: y - centerY });
+            }
+        });
+    });
+    return offsets;
 }
 
-// Server game loop for monster AI
-function gameLoop() {
-    const now = Date.now();
+// Load and check NPC definitions. Dialogue rules are matched in order; a
+// rule answers when all its keywords are said, its topic (if any) is the
+// one the conversation is on and all its conditions hold.
+function loadNpcDefinitions() {
+    const npcTypes = JSON.parse(fs.readFileSync(CONFIG.NPCS_FILE, 'utf8'));
+    const checkItem = (type, itemId, what) => {
+        if (!gameState.items[itemId]) {
+            throw new Error(`NPC "${type}" ${what} has unknown item "${itemId}"`);
+        }
+    };
 
-    // Update monsters
-    gameState.monsters.forEach(monster => {
-        // Simple AI: move towards nearest player every 500ms
-        if (now - monster.lastMove > 500) {
-            monster.lastMove = now;
-
-            // Find nearest player
-            let nearestPlayer = null;
-            let minDistance = Infinity;
-
-            gameState.players.forEach(player => {
-                const distance = Math.sqrt(
-                    Math.pow(player.x - monster.x, 2) +
-                    Math.pow(player.y - monster.y, 2)
-                );
-
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    nearestPlayer = player;
+    Object.entries(npcTypes).forEach(([type, npc]) => {
+        ['name', 'emoji', 'greeting', 'farewell'].forEach(field => {
+            if (typeof npc[field] !== 'string') {
+                throw new Error(`NPC "${type}" needs a ${field}`);
+            }
+        });
+        npc.nameColor = npc.nameColor || null;
+        npc.tradeResponse = npc.tradeResponse || 'Have a look at my offers, |PLAYERNAME|.';
+        npc.dialogue = npc.dialogue || [];
+        npc.shop = npc.shop || [];
+
+        npc.dialogue.forEach((rule, index) => {
+            const what = `dialogue rule ${index}`;
+            if (!Array.isArray(rule.keywords) || rule.keywords.length === 0 ||
+                !rule.keywords.every(keyword => typeof keyword === 'string')) {
+                throw new Error(`NPC "${type}" ${what} needs keywords`);
+            }
+            if (typeof rule.response !== 'string') {
+                throw new Error(`NPC "${type}" ${what} needs a response`);
+            }
+            rule.keywords = rule.keywords.map(keyword => keyword.toLowerCase());
+            rule.conditions = rule.conditions || [];
+            rule.actions = rule.actions || [];
+            rule.conditions.forEach(condition => {
+                if (!NPC_CONDITION_TYPES.includes(condition.type)) {
+                    throw new Error(`NPC "${type}" ${what} has unknown condition "${condition.type}"`);
+                }
+                if (condition.type === 'item') {
+                    checkItem(type, condition.itemId, what);
+                }
+                if (condition.type === 'level' && typeof condition.min !== 'number') {
+                    throw new Error(`NPC "${type}" ${what} needs a min for its level condition`);
+                }
+                if (condition.type === 'storage' && (typeof condition.key !== 'string' ||
+                    (!Number.isInteger(condition.value) && typeof condition.min !== 'number'))) {
+                    throw new Error(`NPC "${type}" ${what} needs a key and a value or min for its storage condition`);
+                }
+            });
+            rule.actions.forEach(action => {
+                if (!NPC_ACTION_TYPES.includes(action.type)) {
+                    throw new Error(`NPC "${type}" ${what} has unknown action "${action.type}"`);
+                }
+                if (action.type === 'takeItem' || action.type === 'giveItem') {
+                    checkItem(type, action.itemId, what);
+                    if (!Number.isInteger(action.count) || action.count <= 0) {
+                        throw new Error(`NPC "${type}" ${what} needs a positive count for ${action.type}`);
+                    }
+                }
+                if (action.type === 'setStorage' && (typeof action.key !== 'string' ||
+                    !Number.isInteger(action.value) || action.value < 0)) {
+                    throw new Error(`NPC "${type}" ${what} needs a key and a value of 0 or more for setStorage`);
                 }
             });
+        });
 
-            if (nearestPlayer) {
-                // Move towards player
-                const dx = nearestPlayer.x - monster.x;
-                const dy = nearestPlayer.y - monster.y;
-
-                let moveX = 0;
-                let moveY = 0;
-
-                if (Math.abs(dx) > Math.abs(dy)) {
-                    moveX = dx > 0 ? 1 : -1;
-                } else if (Math.abs(dy) > Math.abs(dx)) {
-                    moveY = dy > 0 ? 1 : -1;
-                } else if (dx !== 0) {
-                    moveX = dx > 0 ? 1 : -1;
-                    moveY = dy > 0 ? 1 : -1;
+        if (npc.shop.length > 0) {
+            checkItem(type, CONFIG.CURRENCY_ITEM, 'shop currency');
+        }
+        npc.shop.forEach((offer, index) => {
+            checkItem(type, offer.itemId, `shop offer ${index}`);
+            ['buy', 'sell'].forEach(field => {
+                if (offer[field] !== undefined && !(Number.isInteger(offer[field]) && offer[field] > 0)) {
+                    throw new Error(`NPC "${type}" shop offer ${index} needs a positive ${field} price`);
                 }
+            });
+        });
+    });
 
-                const newX = monster.x + moveX;
-                const newY = monster.y + moveY;
+    return npcTypes;
+}
 
-                if (isValidMove(newX, newY)) {
-                    monster.x = newX;
-                    monster.y = newY;
+// Load and check quest definitions. A quest's stages are the values of its
+// storage key, in increasing order; the player is on the last stage whose
+// value their storage has reached, and has finished the quest on the last
+// one. A stage's objective, when done, moves the player on to the next stage.
+function loadQuestDefinitions() {
+    const quests = JSON.parse(fs.readFileSync(CONFIG.QUESTS_FILE, 'utf8'));
+    const storageKeys = new Set();
 
-                    broadcast({
-                        type: 'monsterMoved',
-                        monsterId: monster.id,
-                        x: newX,
-                        y: newY,
-                    });
-                }
+    Object.entries(quests).forEach(([id, quest]) => {
+        ['name', 'storageKey'].forEach(field => {
+            if (typeof quest[field] !== 'string') {
+                throw new Error(`Quest "${id}" needs a ${field}`);
+            }
+        });
+        if (storageKeys.has(quest.storageKey)) {
+            throw new Error(`Quest "${id}" shares storage key "${quest.storageKey}" with another quest`);
+        }
+        storageKeys.add(quest.storageKey);
+        if (!Array.isArray(quest.stages) || quest.stages.length === 0) {
+            throw new Error(`Quest "${id}" needs stages`);
+        }
 
-                // Attack if adjacent
-                if (minDistance <= 1.5 && Math.random() < 0.3) {
-                    const damage = Math.floor(Math.random() * 6) + 5; // 5-10 damage
-                    nearestPlayer.health -= damage;
-
-                    broadcast({
-                        type: 'playerDamaged',
-                        playerId: nearestPlayer.id,
-                        health: nearestPlayer.health,
-                        damage: damage,
-                    });
-
-                    if (nearestPlayer.health <= 0) {
-                        broadcast({
-                            type: 'playerDied',
-                            playerId: nearestPlayer.id,
-                        });
-                    }
-                }
+        quest.stages.forEach((stage, index) => {
+            const what = `stage ${index}`;
+            const previous = index > 0 ? quest.stages[index - 1].value : 0;
+            if (!Number.isInteger(stage.value) || stage.value <= previous) {
+                throw new Error(`Quest "${id}" ${what} needs a value above ${previous}`);
+            }
+            if (typeof stage.description !== 'string') {
+                throw new Error(`Quest "${id}" ${what} needs a description`);
+            }
+
+            const objective = stage.objective;
+            if (!objective) return;
+            if (index === quest.stages.length - 1) {
+                throw new Error(`Quest "${id}" ${what} is the last stage and cannot have an objective`);
+            }
+            if (!QUEST_OBJECTIVES[objective.type]) {
+                throw new Error(`Quest "${id}" ${what} has unknown objective "${objective.type}"`);
             }
+            if (objective.type === 'kill' && !gameState.creatures[objective.creatureType]) {
+                throw new Error(`Quest "${id}" ${what} has unknown creature "${objective.creatureType}"`);
+            }
+            if (objective.type === 'pickup' && !gameState.items[objective.itemId]) {
+                throw new Error(`Quest "${id}" ${what} has unknown item "${objective.itemId}"`);
+            }
+            if (objective.type === 'zone' && typeof objective.zone !== 'string') {
+                throw new Error(`Quest "${id}" ${what} needs a zone`);
+            }
+            objective.count = objective.count === undefined ? 1 : objective.count;
+            if (!Number.isInteger(objective.count) || objective.count <= 0) {
+                throw new Error(`Quest "${id}" ${what} needs a positive count`);
+            }
+        });
+        quest.id = id;
+    });
+
+    return quests;
+}
+
+// Monsters outside sectors with a monsterType are picked from these
+function checkDefaultMonsterTypes() {
+    CONFIG.DEFAULT_MONSTER_TYPES.forEach(type => {
+        if (!gameState.creatures[type]) {
+            throw new Error(`CONFIG.DEFAULT_MONSTER_TYPES names unknown creature "${type}"`);
         }
     });
 }
 
-// Start server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-    initGame();
-    setInterval(gameLoop, 1000 / CONFIG.TICK_RATE);
+// Every loot entry must name a known item with a chance and a count range
+function checkLootTables() {
+    Object.entries(gameState.creatures).forEach(([type, creature]) => {
+        creature.loot.forEach(loot => {
+            if (!gameState.items[loot.itemId]) {
+                throw new Error(`Creature "${type}" drops unknown item "${loot.itemId}"`);
+            }
+            if (!(loot.chance > 0 && loot.chance <= 1)) {
+                throw new Error(`Creature "${type}" needs a loot chance between 0 and 1 for "${loot.itemId}"`);
+            }
+            if (!Number.isInteger(loot.min) || !Number.isInteger(loot.max) || loot.min < 1 || loot.min > loot.max) {
+                throw new Error(`Creature "${type}" needs loot min <= max for "${loot.itemId}"`);
+            }
+        });
+    });
+}
+
+// Creature types allowed at a position: the monsterType custom property
+// (comma separated) of the sector there, else the default types
+function getCreatureTypesAt(x, y) {
+    const sector = getSectorAt(x, y);
+    const props = sector && sector.properties && sector.properties.customProperties || {};
+
+    if (props.monsterType) {
+        const types = props.monsterType.split(',').map(type => type.trim());
+        const known = types.filter(type => gameState.creatures[type]);
+        if (known.length > 0) {
+            return known;
+        }
+        console.warn(`Sector "${sector.name}" has no known monsterType in "${props.monsterType}"`);
+    }
+    return CONFIG.DEFAULT_MONSTER_TYPES;
+}
+
+// Topmost sector containing a tile
+function getSectorAt(x, y) {
+    const sectors = gameState.mapData ? gameState.mapData.sectors : [];
+    for (let i = sectors.length - 1; i >= 0; i--) {
+        const bounds = sectors[i].boundaries;
+        if (x >= bounds.x && x < bounds.x + bounds.width &&
+            y >= bounds.y && y < bounds.y + bounds.height) {
+            return sectors[i];
+        }
+    }
+    return null;
+}
+
+// Rules of the sector at a tile, from its editor properties:
+//   pvp        - properties.pvpEnabled; players may hurt each other if both stand in one
+//   protection - customProperties protectionZone = "true"; no fighting at all, and
+//                monsters cannot enter or attack into it
+//   noLogout   - customProperties noLogout = "true"; characters stay in the world
+//                for LOGOUT_LINGER_TIME after their client disconnects
+//   questZone  - customProperties questZone; entering counts for zone quest objectives
+function getZoneRules(x, y) {
+    const sector = getSectorAt(x, y);
+    const props = sector && sector.properties || {};
+    const custom = props.customProperties || {};
+    return {
+        sector: sector,
+        pvp: !!props.pvpEnabled,
+        protection: custom.protectionZone === 'true',
+        noLogout: custom.noLogout === 'true',
+        questZone: custom.questZone || null,
+    };
+}
+
+function isProtectionZone(x, y) {
+    return getZoneRules(x, y).protection;
+}
+
+// Why attacker may not hurt target, or null if it may
+function getPvpRejection(attacker, target) {
+    if (attacker === target) {
+        return 'You cannot attack yourself.';
+    }
+    if (target.dead) {
+        return 'That player is already dead.';
+    }
+    if (isProtectionZone(attacker.x, attacker.y) || isProtectionZone(target.x, target.y)) {
+        return 'You may not attack a person in a protection zone.';
+    }
+    if (!getZoneRules(attacker.x, attacker.y).pvp || !getZoneRules(target.x, target.y).pvp) {
+        return 'You may only attack players in a PvP zone.';
+    }
+    return null;
+}
+
+// Skulls mark player killers, as in Tibia:
+//   white - attacked or killed a player without a skull in the last WHITE_SKULL_TIME
+//   red   - RED_SKULL_FRAGS unjustified kills within FRAG_TIME
+// Attacking a player with a skull is justified and earns none.
+function getSkull(player, now) {
+    if (player.frags.filter(time => now - time < CONFIG.FRAG_TIME).length >= CONFIG.RED_SKULL_FRAGS) {
+        return 'red';
+    }
+    return player.whiteSkullUntil > now ? 'white' : null;
+}
+
+// Show a player's skull and frag count to everyone around when they change
+function updateSkull(player, now) {
+    player.frags = player.frags.filter(time => now - time < CONFIG.FRAG_TIME);
+    const skull = getSkull(player, now);
+    if (skull === player.skull && player.shownFrags === player.frags.length) return;
+
+    player.skull = skull;
+    player.shownFrags = player.frags.length;
+    updateWatchers('player', player, {
+        type: 'playerSkull',
+        playerId: player.id,
+        skull: skull,
+        frags: player.frags.length,
+    });
+}
+
+// An attack on another player locks the attacker out of protection zones
+// for a while and, unless the target has a skull, earns a white skull
+function recordPlayerAttack(attacker, target, now) {
+    attacker.pzLockedUntil = now + CONFIG.PZ_LOCK_TIME;
+    if (!target.skull) {
+        attacker.whiteSkullUntil = now + CONFIG.WHITE_SKULL_TIME;
+    }
+    updateSkull(attacker, now);
+}
+
+// Killing a player without a skull counts as a frag
+function recordPlayerKill(killer, victim, now) {
+    if (victim.skull) return;
+
+    killer.frags.push(now);
+    updateSkull(killer, now);
+    sendToPlayer(killer.id, {
+        type: 'fragged',
+        victimName: victim.name,
+        frags: killer.frags.length,
+    });
+    console.log(`${killer.name} killed ${victim.name} unjustified (${killer.frags.length} frags)`);
+}
+
+function isPzLocked(player, now) {
+    return player.pzLockedUntil > now;
+}
+
+// Skulls wear off as time passes
+function expireSkulls(now) {
+    gameState.players.forEach(player => {
+        if (player.skull || player.frags.length > 0) {
+            updateSkull(player, now);
+        }
+    });
+}
+
+// Tell a player which sector it is in when that changes, so the client
+// can show the name and rules and play the sector's music
+function updatePlayerZone(player) {
+    const rules = getZoneRules(player.x, player.y);
+    const sectorId = rules.sector ? rules.sector.id : null;
+    if (player.sectorId === sectorId) return;
+
+    player.sectorId = sectorId;
+    sendToPlayer(player.id, {
+        type: 'zoneChanged',
+        name: rules.sector ? rules.sector.name : null,
+        music: rules.sector && rules.sector.properties && rules.sector.properties.music || null,
+        pvp: rules.pvp,
+        protection: rules.protection,
+        noLogout: rules.noLogout,
+    });
+
+    if (rules.questZone) {
+        advanceQuests(player, 'zone', rules.questZone);
+    }
+}
+
+// Spawn a monster for a spawn area, or return null when there is no free
+// tile out of sight of players
+function spawnMonster(spawn) {
+    const tile = findMonsterSpawnTile(spawn);
+    if (!tile) return null;
+
+    const { x, y } = tile;
+    const types = spawn.creatureType ? [spawn.creatureType] : getCreatureTypesAt(x, y);
+    const type = types[Math.floor(Math.random() * types.length)];
+    const creature = gameState.creatures[type];
+
+    const monster = {
+        id: Date.now() + Math.random(),
+        type: type,
+        name: creature.name,
+        x,
+        y,
+        health: creature.health,
+        maxHealth: creature.health,
+        emoji: creature.emoji,
+        spriteId: creature.spriteId,
+        spawnId: spawn.id,
+        state: 'idle',
+        direction: 'south',
+        // Leash and wander around the spawn area's centre; the whole-map
+        // spawn has none, so there it is the tile the monster appeared on
+        spawnX: spawn.radius === Infinity ? x : spawn.x,
+        spawnY: spawn.radius === Infinity ? y : spawn.y,
+        damageTakenBy: {}, // playerId -> damage dealt
+        threat: {}, // playerId -> threat, decides who the monster targets
+        lastMove: Date.now(),
+        lastAttack: 0,
+        nextWander: 0,
+        provokedUntil: 0, // Hit recently; fights back instead of leashing home
+        returnFailures: 0, // Steps home in a row that found the way blocked
+    };
+
+    gameState.monsters.push(monster);
+    addToGrid('monster', monster);
+    updateWatchers('monster', monster);
+    return monster;
+}
+
+// Random free tile within a spawn's radius that no player can see
+function findMonsterSpawnTile(spawn) {
+    for (let attempt = 0; attempt < CONFIG.SPAWN_ATTEMPTS; attempt++) {
+        let x, y;
+        if (spawn.radius === Infinity) {
+            x = Math.floor(Math.random() * gameState.mapWidth);
+            y = Math.floor(Math.random() * gameState.mapHeight);
+        } else {
+            x = spawn.x + Math.floor(Math.random() * (spawn.radius * 2 + 1)) - spawn.radius;
+            y = spawn.y + Math.floor(Math.random() * (spawn.radius * 2 + 1)) - spawn.radius;
+            if (getDistance({ x, y }, spawn) > spawn.radius) continue;
+        }
+
+        if (isFreeTile(x, y) && !isInSightOfPlayer(x, y)) {
+            return { x, y };
+        }
+    }
+    return null;
+}
+
+function isInSightOfPlayer(x, y) {
+    return getEntitiesNear('player', { x, y }, CONFIG.SPAWN_SIGHT_RANGE).length > 0;
+}
+
+// Bring back dead monsters whose respawn time has come
+function updateSpawns(now) {
+    gameState.spawns.forEach(spawn => {
+        for (let i = spawn.respawnAt.length - 1; i >= 0; i--) {
+            if (spawn.respawnAt[i] > now) continue;
+
+            const monster = spawnMonster(spawn);
+            if (!monster) {
+                spawn.respawnAt[i] = now + CONFIG.SPAWN_RETRY_DELAY;
+                continue;
+            }
+
+            spawn.respawnAt.splice(i, 1);
+        }
+    });
+}
+
+// Find spawn position for new player
+function findSpawnPosition() {
+    let x, y;
+    let attempts = 0;
+    do {
+        x = Math.floor(Math.random() * Math.max(1, gameState.mapWidth - 4)) + 2;
+        y = Math.floor(Math.random() * Math.max(1, gameState.mapHeight - 4)) + 2;
+        attempts++;
+    } while (!isValidMove(x, y) && attempts < 100);
+
+    if (!isValidMove(x, y)) {
+        // Small or sparse maps: fall back to the first walkable tile
+        for (y = 0; y < gameState.mapHeight; y++) {
+            for (x = 0; x < gameState.mapWidth; x++) {
+                if (gameState.map[y][x].walkable) {
+                    return { x, y };
+                }
+            }
+        }
+    }
+
+    return { x, y };
+}
+
+// Broadcast to all clients that are in game
+function broadcast(message, excludeClient = null) {
+    wss.clients.forEach(client => {
+        if (client !== excludeClient && client.playerId && client.readyState === WebSocket.OPEN) {
+            client.send(JSON.stringify(message));
+        }
+    });
+}
+
+// Send to specific client
+function sendToClient(client, message) {
+    if (client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify(message));
+    }
+}
+
+// Send to the client controlling a player
+function sendToPlayer(playerId, message) {
+    const client = gameState.clients.get(playerId);
+    if (client) {
+        sendToClient(client, message);
+    }
+}
+
+// Area of interest
+//
+// Players, monsters and NPCs are kept in grids of AOI_CELL_SIZE cells so the
+// server finds who is near a tile without going through everyone. Each
+// player has a view: the players, monsters and NPCs its client knows about and the
+// map chunks it has loaded. Updates about an entity only go to the players
+// whose view holds it; entities coming into or going out of AOI_RANGE are sent
+// as entityEntered and entityLeft, and map chunks are sent as the player walks.
+
+function getCellKey(x, y) {
+    return `${Math.floor(x / CONFIG.AOI_CELL_SIZE)},${Math.floor(y / CONFIG.AOI_CELL_SIZE)}`;
+}
+
+function getGrid(kind) {
+    return { player: gameState.playerGrid, monster: gameState.monsterGrid, npc: gameState.npcGrid }[kind];
+}
+
+function addToGrid(kind, entity) {
+    const grid = getGrid(kind);
+    const key = getCellKey(entity.x, entity.y);
+    if (!grid.has(key)) {
+        grid.set(key, new Set());
+    }
+    grid.get(key).add(entity);
+}
+
+function removeFromGrid(kind, entity, x = entity.x, y = entity.y) {
+    const grid = getGrid(kind);
+    const key = getCellKey(x, y);
+    const cell = grid.get(key);
+    if (!cell) return;
+
+    cell.delete(entity);
+    if (cell.size === 0) {
+        grid.delete(key);
+    }
+}
+
+// Call after changing an entity's position
+function moveInGrid(kind, entity, oldX, oldY) {
+    if (getCellKey(oldX, oldY) === getCellKey(entity.x, entity.y)) return;
+
+    removeFromGrid(kind, entity, oldX, oldY);
+    addToGrid(kind, entity);
+}
+
+function isInRange(a, b, range = CONFIG.AOI_RANGE) {
+    return Math.abs(a.x - b.x) <= range.x && Math.abs(a.y - b.y) <= range.y;
+}
+
+// Players, monsters or NPCs within range tiles of a position
+function getEntitiesNear(kind, position, range = CONFIG.AOI_RANGE) {
+    const grid = getGrid(kind);
+    const size = CONFIG.AOI_CELL_SIZE;
+    const found = [];
+
+    for (let cellY = Math.floor((position.y - range.y) / size); cellY <= Math.floor((position.y + range.y) / size); cellY++) {
+        for (let cellX = Math.floor((position.x - range.x) / size); cellX <= Math.floor((position.x + range.x) / size); cellX++) {
+            const cell = grid.get(`${cellX},${cellY}`);
+            if (!cell) continue;
+
+            cell.forEach(entity => {
+                if (isInRange(entity, position, range)) {
+                    found.push(entity);
+                }
+            });
+        }
+    }
+    return found;
+}
+
+// Ids of the players whose client knows an entity
+function getWatchers(kind, entity) {
+    const key = `${kind}:${entity.id}`;
+    if (!gameState.watchers.has(key)) {
+        gameState.watchers.set(key, new Set());
+    }
+    return gameState.watchers.get(key);
+}
+
+// Record that a player's client knows an entity
+function addToView(viewer, kind, entity) {
+    gameState.views.get(viewer.id)[kind].add(entity.id);
+    getWatchers(kind, entity).add(viewer.id);
+}
+
+function showEntity(viewer, kind, entity) {
+    addToView(viewer, kind, entity);
+    sendToPlayer(viewer.id, {
+        type: 'entityEntered',
+        kind: kind,
+        entity: getPublicEntity(kind, entity),
+    });
+}
+
+function getPublicEntity(kind, entity) {
+    if (kind === 'player') return getPublicPlayer(entity);
+    if (kind === 'monster') return getPublicMonster(entity);
+    return entity;
+}
+
+// What other clients are told about a player; the rest of the player
+// object (account, inventory, timers) stays on the server
+function getPublicPlayer(player) {
+    return {
+        id: player.id,
+        name: player.name,
+        emoji: player.emoji,
+        x: player.x,
+        y: player.y,
+        direction: player.direction,
+        health: player.health,
+        maxHealth: player.maxHealth,
+        level: player.level,
+        dead: !!player.dead,
+        skull: player.skull,
+        frags: player.frags.length,
+    };
+}
+
+// What clients are told about a monster: what they draw, not its AI state
+function getPublicMonster(monster) {
+    return {
+        id: monster.id,
+        type: monster.type,
+        name: monster.name,
+        x: monster.x,
+        y: monster.y,
+        health: monster.health,
+        maxHealth: monster.maxHealth,
+        emoji: monster.emoji,
+        spriteId: monster.spriteId,
+        direction: monster.direction,
+        state: monster.state,
+    };
+}
+
+function hideEntity(viewer, kind, entityId) {
+    gameState.views.get(viewer.id)[kind].delete(entityId);
+    const watchers = gameState.watchers.get(`${kind}:${entityId}`);
+    if (watchers) {
+        watchers.delete(viewer.id);
+    }
+    sendToPlayer(viewer.id, { type: 'entityLeft', kind: kind, id: entityId });
+}
+
+// Send an update about an entity to every player whose client knows it
+function sendToWatchers(kind, entity, message) {
+    getWatchers(kind, entity).forEach(playerId => sendToPlayer(playerId, message));
+}
+
+// Send something happening on a tile to the players near it
+function broadcastNear(position, message) {
+    getEntitiesNear('player', position).forEach(player => sendToPlayer(player.id, message));
+}
+
+// After an entity moved or appeared: players in range that already know it
+// get the message, players that just came into range get entityEntered and
+// players now out of range get entityLeft
+function updateWatchers(kind, entity, message = null) {
+    const watchers = getWatchers(kind, entity);
+
+    getEntitiesNear('player', entity).forEach(viewer => {
+        if (!watchers.has(viewer.id)) {
+            showEntity(viewer, kind, entity);
+        } else if (message) {
+            sendToPlayer(viewer.id, message);
+        }
+    });
+
+    Array.from(watchers).forEach(viewerId => {
+        const viewer = gameState.players.get(viewerId);
+        if (viewer && !isInRange(viewer, entity)) {
+            hideEntity(viewer, kind, entity.id);
+        }
+    });
+}
+
+// Bring a player's view up to date after it moved: entities coming into
+// and going out of range, and the map chunks around it
+function updateView(player) {
+    const view = gameState.views.get(player.id);
+
+    ENTITY_KINDS.forEach(kind => {
+        const nearby = getEntitiesNear(kind, player);
+        const nearbyIds = new Set(nearby.map(entity => entity.id));
+
+        Array.from(view[kind]).forEach(id => {
+            if (!nearbyIds.has(id)) {
+                hideEntity(player, kind, id);
+            }
+        });
+        nearby.forEach(entity => {
+            if (!view[kind].has(entity.id)) {
+                showEntity(player, kind, entity);
+            }
+        });
+    });
+
+    updateChunks(player);
+}
+
+// Take an entity out of the grid and every view, e.g. when a monster dies
+function forgetEntity(kind, entity) {
+    removeFromGrid(kind, entity);
+    getWatchers(kind, entity).forEach(viewerId => {
+        const view = gameState.views.get(viewerId);
+        if (view) {
+            view[kind].delete(entity.id);
+        }
+    });
+    gameState.watchers.delete(`${kind}:${entity.id}`);
+}
+
+// A player joined: start its view with itself and send what is around it
+function addPlayerView(player) {
+    gameState.views.set(player.id, { player: new Set(), monster: new Set(), npc: new Set(), chunks: new Set() });
+    addToGrid('player', player);
+    addToView(player, 'player', player);
+    updateView(player);
+    updateWatchers('player', player);
+}
+
+// A player left: nobody sees it any more and it watches nothing
+function removePlayerView(player) {
+    const view = gameState.views.get(player.id);
+    ENTITY_KINDS.forEach(kind => {
+        view[kind].forEach(id => {
+            const watchers = gameState.watchers.get(`${kind}:${id}`);
+            if (watchers) {
+                watchers.delete(player.id);
+            }
+        });
+    });
+    view.chunks.forEach(key => gameState.chunkWatchers.get(key).delete(player.id));
+    forgetEntity('player', player);
+    gameState.views.delete(player.id);
+}
+
+function getChunkKey(x, y) {
+    return `${Math.floor(x / CONFIG.MAP_CHUNK_SIZE)},${Math.floor(y / CONFIG.MAP_CHUNK_SIZE)}`;
+}
+
+// Send the chunks within MAP_CHUNK_RADIUS of the player's chunk that its
+// client does not have yet. Chunks are unloaded one chunk further out, so
+// walking back and forth over a chunk edge does not resend them.
+function updateChunks(player) {
+    const view = gameState.views.get(player.id);
+    const size = CONFIG.MAP_CHUNK_SIZE;
+    const radius = CONFIG.MAP_CHUNK_RADIUS;
+    const playerChunkX = Math.floor(player.x / size);
+    const playerChunkY = Math.floor(player.y / size);
+
+    const unloaded = Array.from(view.chunks).filter(key => {
+        const [chunkX, chunkY] = key.split(',').map(Number);
+        return Math.abs(chunkX - playerChunkX) > radius + 1 || Math.abs(chunkY - playerChunkY) > radius + 1;
+    });
+    if (unloaded.length > 0) {
+        unloaded.forEach(key => {
+            view.chunks.delete(key);
+            gameState.chunkWatchers.get(key).delete(player.id);
+        });
+        sendToPlayer(player.id, {
+            type: 'mapChunksUnloaded',
+            chunks: unloaded.map(key => {
+                const [chunkX, chunkY] = key.split(',').map(Number);
+                return { x: chunkX * size, y: chunkY * size };
+            }),
+        });
+    }
+
+    for (let chunkY = playerChunkY - radius; chunkY <= playerChunkY + radius; chunkY++) {
+        for (let chunkX = playerChunkX - radius; chunkX <= playerChunkX + radius; chunkX++) {
+            const key = `${chunkX},${chunkY}`;
+            if (chunkX < 0 || chunkY < 0 || chunkX * size >= gameState.mapWidth ||
+                chunkY * size >= gameState.mapHeight || view.chunks.has(key)) {
+                continue;
+            }
+
+            view.chunks.add(key);
+            if (!gameState.chunkWatchers.has(key)) {
+                gameState.chunkWatchers.set(key, new Set());
+            }
+            gameState.chunkWatchers.get(key).add(player.id);
+            sendToPlayer(player.id, getMapChunkMessage(chunkX * size, chunkY * size));
+        }
+    }
+}
+
+// The tiles, layer sprites and ground items of one chunk
+function getMapChunkMessage(x, y) {
+    const width = Math.min(CONFIG.MAP_CHUNK_SIZE, gameState.mapWidth - x);
+    const height = Math.min(CONFIG.MAP_CHUNK_SIZE, gameState.mapHeight - y);
+    const cut = rows => rows.slice(y, y + height).map(row => row.slice(x, x + width));
+
+    const groundItems = [];
+    for (let tileY = y; tileY < y + height; tileY++) {
+        for (let tileX = x; tileX < x + width; tileX++) {
+            const key = getTileKey(tileX, tileY);
+            if (gameState.groundItems.has(key)) {
+                groundItems.push(getTileItemsMessage(key));
+            }
+        }
+    }
+
+    return {
+        type: 'mapChunk',
+        x: x,
+        y: y,
+        width: width,
+        height: height,
+        tiles: cut(gameState.map),
+        layers: gameState.mapData ? gameState.mapData.layers.map(layer => cut(layer.tiles)) : [],
+        groundItems: groundItems,
+    };
+}
+
+// Send a change on a tile to the players with its chunk loaded
+function sendToChunkWatchers(x, y, message) {
+    const watchers = gameState.chunkWatchers.get(getChunkKey(x, y));
+    if (watchers) {
+        watchers.forEach(playerId => sendToPlayer(playerId, message));
+    }
+}
+
+// Map data sent on login: layer names and the sprite registry, but not the
+// tiles, which come in chunks
+function getMapDataSummary() {
+    if (!gameState.mapData) return null;
+
+    return {
+        ...gameState.mapData,
+        layers: gameState.mapData.layers.map(layer => ({ name: layer.name, visible: layer.visible })),
+    };
+}
+
+function getDistance(a, b) {
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+}
+
+// Distance in steps, counting diagonal steps as one
+function getTileDistance(a, b) {
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+// Facing after a step; diagonal steps face along the horizontal like Tibia
+function getDirection(dx, dy, current = 'south') {
+    if (dx !== 0) return dx > 0 ? 'east' : 'west';
+    if (dy !== 0) return dy > 0 ? 'south' : 'north';
+    return current;
+}
+
+// Load accounts from disk (missing file means no accounts yet)
+function loadAccounts() {
+    try {
+        const data = JSON.parse(fs.readFileSync(CONFIG.ACCOUNTS_FILE, 'utf8'));
+        gameState.accounts = data.accounts || {};
+        console.log(`Loaded ${Object.keys(gameState.accounts).length} accounts`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to load accounts from ${CONFIG.ACCOUNTS_FILE}: ${error.message}`);
+            process.exit(1);
+        }
+        gameState.accounts = {};
+    }
+}
+
+// Write accounts to disk. Writes to a temporary file first so a crash
+// mid-write never leaves a truncated save behind.
+function saveAccounts() {
+    const tempFile = `${CONFIG.ACCOUNTS_FILE}.tmp`;
+    try {
+        fs.mkdirSync(path.dirname(CONFIG.ACCOUNTS_FILE), { recursive: true });
+        fs.writeFileSync(tempFile, JSON.stringify({ accounts: gameState.accounts }, null, 2));
+        fs.renameSync(tempFile, CONFIG.ACCOUNTS_FILE);
+    } catch (error) {
+        console.error('Error saving accounts:', error);
+    }
+}
+
+// Copy a player's persistent fields into their account
+function storeCharacter(player) {
+    const account = gameState.accounts[player.accountKey];
+    if (!account) return;
+
+    // Copy by value so later changes to the live player don't leak into the save
+    CHARACTER_FIELDS.forEach(field => {
+        account.character[field] = JSON.parse(JSON.stringify(player[field]));
+    });
+}
+
+// Store every online character and write the accounts file
+function saveAllCharacters() {
+    gameState.players.forEach(player => storeCharacter(player));
+    saveAccounts();
+}
+
+async function hashPassword(password, salt) {
+    const key = await scrypt(password, salt, CONFIG.PASSWORD_KEY_LENGTH);
+    return key.toString('hex');
+}
+
+// Check login/registration input, returning an error message or null
+function validateCredentials(name, password) {
+    if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z ]{2,19}$/.test(name)) {
+        return 'Name must be 3-20 letters or spaces and start with a letter';
+    }
+    if (typeof password !== 'string' || password.length < CONFIG.PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${CONFIG.PASSWORD_MIN_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Handle a login or registration request from a client that is not in game yet
+async function handleAuth(ws, message) {
+    if (ws.playerId || ws.authPending) return;
+
+    const name = typeof message.name === 'string' ? message.name.trim() : message.name;
+    const error = validateCredentials(name, message.password);
+    if (error) {
+        sendToClient(ws, { type: 'loginFailed', reason: error });
+        return;
+    }
+
+    const accountKey = name.toLowerCase();
+    ws.authPending = true;
+
+    try {
+        let account = gameState.accounts[accountKey];
+
+        if (message.type === 'register') {
+            if (account) {
+                sendToClient(ws, { type: 'loginFailed', reason: 'That name is already taken' });
+                return;
+            }
+
+            const salt = crypto.randomBytes(16).toString('hex');
+            const passwordHash = await hashPassword(message.password, salt);
+
+            // Another client may have registered the name while we were hashing
+            if (gameState.accounts[accountKey]) {
+                sendToClient(ws, { type: 'loginFailed', reason: 'That name is already taken' });
+                return;
+            }
+
+            account = {
+                name: name,
+                salt: salt,
+                passwordHash: passwordHash,
+                createdAt: Date.now(),
+                character: createCharacter(),
+            };
+            gameState.accounts[accountKey] = account;
+            saveAccounts();
+            console.log(`Account created: ${name}`);
+        } else {
+            const passwordHash = account ? await hashPassword(message.password, account.salt) : null;
+            const matches = account && crypto.timingSafeEqual(
+                Buffer.from(passwordHash, 'hex'),
+                Buffer.from(account.passwordHash, 'hex')
+            );
+
+            if (!matches) {
+                sendToClient(ws, { type: 'loginFailed', reason: 'Wrong name or password' });
+                return;
+            }
+        }
+
+        const online = Array.from(gameState.players.values())
+            .find(player => player.accountKey === accountKey);
+        if (online && gameState.clients.has(online.id)) {
+            sendToClient(ws, { type: 'loginFailed', reason: 'This character is already logged in' });
+            return;
+        }
+        // Logging back in takes over a character left behind in a no-logout zone
+        if (online) {
+            removePlayer(online);
+        }
+
+        if (ws.readyState === WebSocket.OPEN) {
+            joinGame(ws, accountKey, account);
+        }
+    } catch (error) {
+        console.error('Error during login:', error);
+        sendToClient(ws, { type: 'loginFailed', reason: 'Server error, please try again' });
+    } finally {
+        ws.authPending = false;
+    }
+}
+
+// Starting state for a new character
+function createCharacter() {
+    const spawnPos = findTempleSpawn(0, 0);
+    return {
+        x: spawnPos.x,
+        y: spawnPos.y,
+        ...getCharacterDefaults(),
+    };
+}
+
+// Starting values of the saved fields except the position, which costs a
+// search for a free temple tile. Fills in fields older saves lack.
+function getCharacterDefaults() {
+    return {
+        health: CONFIG.BASE_HEALTH,
+        maxHealth: CONFIG.BASE_HEALTH,
+        mana: CONFIG.BASE_MANA,
+        maxMana: CONFIG.BASE_MANA,
+        experience: 0,
+        level: 1,
+        skills: {
+            melee: { level: CONFIG.SKILLS.melee.startLevel, tries: 0 },
+            magic: { level: CONFIG.SKILLS.magic.startLevel, tries: 0 },
+        },
+        deaths: 0,
+        frags: [], // When each unjustified player kill happened
+        whiteSkullUntil: 0,
+        storage: {}, // Storage key -> value, see data/quests.json
+        inventory: createBackpack([
+            { itemId: 'gold_coin', count: 10 },
+            { itemId: 'cheese', count: 2 },
+            { itemId: 'heavy_magic_missile_rune', count: 5 },
+        ]),
+        equipment: createEquipment({
+            weapon: { itemId: 'dagger', count: 1 },
+        }),
+    };
+}
+
+// Put a logged-in character into the world and send it the game state
+function joinGame(ws, accountKey, account) {
+    const playerId = gameState.nextPlayerId++;
+
+    // Create player from the saved character
+    const player = {
+        id: playerId,
+        accountKey: accountKey,
+        emoji: '🧙',
+        name: account.name,
+        direction: 'south',
+        sectorId: undefined, // Sector last sent in zoneChanged
+        logoutTimer: null, // Set while the character stays behind after disconnecting
+        pzLockedUntil: 0, // Attacked a player recently; kept out of protection zones until then
+        skull: null, // Skull and frag count last shown to others, see getSkull
+        shownFrags: 0,
+        nextStepAt: 0, // When the current step ends and the next may start
+        target: null, // { kind: 'monster' | 'player', id } auto-attacked while in reach
+        nextAttackAt: 0,
+        chatTimes: [], // When recent chat messages were sent, for rate limiting
+        spellCooldowns: {}, // spell id -> time it can be cast again
+        groupCooldowns: {}, // cooldown group -> time its spells can be cast again
+        buffs: [], // Active spell buffs: { spellId, attribute, amount, expiresAt }
+        nextManaRegen: 0,
+        npcSession: null, // Conversation with an NPC: { npcId, topic, lastTalkAt, trading }
+    };
+    const defaults = getCharacterDefaults();
+    CHARACTER_FIELDS.forEach(field => {
+        player[field] = account.character[field] !== undefined ? account.character[field] : defaults[field];
+    });
+
+    // The map may have changed since the character was saved
+    if (!Number.isInteger(player.x) || !Number.isInteger(player.y) ||
+        !isValidMove(player.x, player.y) || isTileOccupied(player.x, player.y)) {
+        const spawnPos = findTempleSpawn(player.x || 0, player.y || 0);
+        player.x = spawnPos.x;
+        player.y = spawnPos.y;
+    }
+    applyLevelStats(player);
+    if (player.health <= 0) {
+        player.health = player.maxHealth;
+    }
+    normalizeItems(player);
+    player.skull = getSkull(player, Date.now());
+    player.shownFrags = player.frags.length;
+
+    gameState.players.set(playerId, player);
+    gameState.clients.set(playerId, ws);
+    ws.playerId = playerId;
+
+    // Send initial game state to new player. The map, players and monsters
+    // around it follow as chunks and entityEntered messages.
+    sendToClient(ws, {
+        type: 'init',
+        playerId: playerId,
+        mapWidth: gameState.mapWidth,
+        mapHeight: gameState.mapHeight,
+        mapData: getMapDataSummary(),
+        fireballSpriteId: CONFIG.FIREBALL_SPRITE_ID,
+        creatures: gameState.creatures,
+        items: gameState.items,
+        spells: gameState.spells,
+        player: getPublicPlayer(player),
+    });
+    addPlayerView(player);
+    updatePlayerZone(player);
+
+    // Notify other players
+    broadcast({
+        type: 'playerJoined',
+        playerId: playerId,
+        name: player.name,
+    }, ws);
+
+    sendPlayerStats(player);
+    sendInventory(player);
+    sendQuestLog(player);
+
+    console.log(`${player.name} (player ${playerId}) joined at (${player.x}, ${player.y})`);
+}
+
+// WebSocket connection handler
+wss.on('connection', (ws) => {
+    console.log('New client connected');
+
+    ws.playerId = null;
+
+    // Handle messages from client
+    ws.on('message', (data) => {
+        try {
+            const message = JSON.parse(data);
+            if (message.type === 'login' || message.type === 'register') {
+                handleAuth(ws, message);
+            } else {
+                handleClientMessage(ws, message);
+            }
+        } catch (error) {
+            console.error('Error parsing message:', error);
+        }
+    });
+
+    // Handle disconnect. In a no-logout zone or right after a fight the
+    // character stays in the world for a while, where monsters and players
+    // can still reach it.
+    ws.on('close', () => {
+        const playerId = ws.playerId;
+        const player = gameState.players.get(playerId);
+        if (!player || gameState.clients.get(playerId) !== ws) return;
+
+        console.log(`${player.name} (player ${playerId}) disconnected`);
+        gameState.clients.delete(playerId);
+        if (!player.dead && (getZoneRules(player.x, player.y).noLogout || isPzLocked(player, Date.now()))) {
+            player.logoutTimer = setTimeout(() => removePlayer(player), CONFIG.LOGOUT_LINGER_TIME);
+            return;
+        }
+        removePlayer(player);
+    });
+});
+
+// Save a player's character and take it out of the world
+function removePlayer(player) {
+    clearTimeout(player.logoutTimer);
+    if (player.dead) {
+        respawnPlayer(player);
+    }
+    storeCharacter(player);
+    saveAccounts();
+    removePlayerView(player);
+    gameState.players.delete(player.id);
+    gameState.clients.delete(player.id);
+
+    broadcast({
+        type: 'playerLeft',
+        playerId: player.id,
+    });
+}
+
+// Handle client messages
+function handleClientMessage(ws, message) {
+    const playerId = ws.playerId;
+    const player = gameState.players.get(playerId);
+
+    if (!player) return;
+
+    // Ghosts can still talk
+    if (message.type === 'chat') {
+        handleChat(ws, player, message);
+        return;
+    }
+    if (player.dead) return;
+
+    switch (message.type) {
+        case 'move':
+            movePlayer(ws, player, message.x, message.y, message.seq);
+            break;
+
+        case 'fireball':
+            castFireball(ws, player, message);
+            break;
+
+        case 'castSpell':
+            castSpell(ws, player, message);
+            break;
+
+        case 'moveItem':
+            moveItem(ws, player, message);
+            break;
+
+        case 'dropItem':
+            dropItem(ws, player, message);
+            break;
+
+        case 'pickUpItem':
+            pickUpItem(ws, player, message);
+            break;
+
+        case 'moveGroundItem':
+            moveGroundItem(ws, player, message);
+            break;
+
+        case 'openCorpse':
+            openCorpse(ws, player, message);
+            break;
+
+        case 'setTarget':
+            setTarget(ws, player, message);
+            break;
+
+        case 'logout':
+            logout(ws, player);
+            break;
+
+        case 'npcBuy':
+            tradeWithNpc(ws, player, message, true);
+            break;
+
+        case 'npcSell':
+            tradeWithNpc(ws, player, message, false);
+            break;
+    }
+}
+
+// Choose the creature or player to auto-attack, or clear the target when
+// the message names neither. Players can only be targeted where the zone
+// rules allow attacking them.
+function setTarget(ws, player, message) {
+    const kind = message.playerId !== undefined ? 'player' : (message.monsterId !== undefined ? 'monster' : null);
+    if (!kind) {
+        player.target = null;
+        return;
+    }
+
+    const id = kind === 'player' ? message.playerId : message.monsterId;
+    const reject = reason => sendToClient(ws, { type: 'attackRejected', reason });
+    if (!gameState.views.get(player.id)[kind].has(id)) {
+        reject('Target lost.');
+        return;
+    }
+    if (isProtectionZone(player.x, player.y)) {
+        reject('You may not attack from a protection zone.');
+        return;
+    }
+    if (kind === 'player') {
+        const reason = getPvpRejection(player, gameState.players.get(id));
+        if (reason) {
+            reject(reason);
+            return;
+        }
+    }
+
+    player.target = { kind, id };
+}
+
+// The entity a player is targeting, or null when it is gone
+function getTarget(player) {
+    const target = player.target;
+    if (!target || !gameState.views.get(player.id)[target.kind].has(target.id)) {
+        return null;
+    }
+    return target.kind === 'player'
+        ? gameState.players.get(target.id)
+        : gameState.monsters.find(monster => monster.id === target.id);
+}
+
+// Drop a target that can no longer be attacked and tell the client why
+function clearTarget(player, reason) {
+    const { kind, id } = player.target;
+    player.target = null;
+    sendToPlayer(player.id, { type: 'targetCleared', kind, id, reason });
+}
+
+// Milliseconds between a player's auto-attacks, set by the weapon
+function getAttackSpeed(player) {
+    const weapon = player.equipment.weapon;
+    const item = weapon && gameState.items[weapon.itemId];
+    return item && item.attackSpeed || CONFIG.ATTACK_SPEED;
+}
+
+// Hit each player's target whenever their weapon is ready and the target
+// is next to them. Walking up to it is left to the client.
+function updatePlayerAttacks(now) {
+    gameState.players.forEach(player => {
+        if (!player.target || player.dead) return;
+
+        const target = getTarget(player);
+        if (!target || target.dead) {
+            clearTarget(player, 'Target lost.');
+            return;
+        }
+
+        const targetPlayer = player.target.kind === 'player' ? target : null;
+        const reason = isProtectionZone(player.x, player.y)
+            ? 'You may not attack from a protection zone.'
+            : targetPlayer && getPvpRejection(player, targetPlayer);
+        if (reason) {
+            clearTarget(player, reason);
+            return;
+        }
+
+        if (now < player.nextAttackAt || getDistance(player, target) > 1.5) return;
+
+        player.nextAttackAt = now + getAttackSpeed(player);
+        const range = getMeleeDamageRange(player);
+        const damage = Math.floor(Math.random() * (range.max - range.min + 1)) + range.min;
+        addSkillTry(player, 'melee');
+        if (targetPlayer) {
+            damagePlayer(targetPlayer, applyProtection(targetPlayer, damage), player);
+        } else {
+            damageMonster(target, damage, player);
+        }
+    });
+}
+
+// Leave the game on request, unless standing in a no-logout zone or
+// just after attacking a player
+function logout(ws, player) {
+    if (getZoneRules(player.x, player.y).noLogout) {
+        sendToClient(ws, { type: 'logoutRejected', reason: 'You may not logout here.' });
+        return;
+    }
+    if (isPzLocked(player, Date.now())) {
+        sendToClient(ws, { type: 'logoutRejected', reason: 'You may not logout during or immediately after a fight.' });
+        return;
+    }
+    ws.close();
+}
+
+// Strip control characters and surplus whitespace, and cap the length
+function sanitizeChatText(text) {
+    if (typeof text !== 'string') return '';
+
+    return text
+        .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, CONFIG.CHAT_MAX_LENGTH);
+}
+
+// Sliding window limit on chat messages per player
+function isChatRateLimited(player, now) {
+    player.chatTimes = player.chatTimes.filter(time => now - time < CONFIG.CHAT_RATE_WINDOW);
+    if (player.chatTimes.length >= CONFIG.CHAT_RATE_LIMIT) {
+        return true;
+    }
+    player.chatTimes.push(now);
+    return false;
+}
+
+function findPlayerByName(name) {
+    const wanted = String(name).trim().toLowerCase();
+    for (const player of gameState.players.values()) {
+        if (player.name.toLowerCase() === wanted) {
+            return player;
+        }
+    }
+    return null;
+}
+
+// Send a chat message to every player within range of a position
+function sendToPlayersInRange(position, range, message) {
+    getEntitiesNear('player', position, range).forEach(player => sendToPlayer(player.id, message));
+}
+
+// Route a chat message: say and yell are heard nearby, whispers by one
+// player, and the global and trade channels by everyone
+function handleChat(ws, player, message) {
+    const text = sanitizeChatText(message.text);
+    if (!text) return;
+
+    const reject = reason => sendToClient(ws, { type: 'chatRejected', reason });
+
+    if (isChatRateLimited(player, Date.now())) {
+        reject('You are sending messages too fast.');
+        return;
+    }
+
+    const chat = {
+        type: 'chat',
+        channel: message.channel,
+        playerId: player.id,
+        from: player.name,
+        text: text,
+        x: player.x,
+        y: player.y,
+    };
+
+    switch (message.channel) {
+        case 'say': {
+            // Spell words are spoken only when the spell works
+            const spell = findSpellByWords(text);
+            if (spell && (player.dead || !castSpell(ws, player, { spellId: spell.id }))) return;
+
+            sendToPlayersInRange(player, CONFIG.CHAT_SAY_RANGE, chat);
+            if (!player.dead) {
+                handleNpcChat(player, text);
+            }
+            break;
+        }
+
+        case 'yell':
+            chat.text = text.toUpperCase();
+            sendToPlayersInRange(player, CONFIG.CHAT_YELL_RANGE, chat);
+            break;
+
+        case 'whisper': {
+            const recipient = findPlayerByName(message.to || '');
+            if (!recipient) {
+                reject(`A player named "${sanitizeChatText(message.to)}" is not online.`);
+                return;
+            }
+            chat.to = recipient.name;
+            sendToPlayer(recipient.id, chat);
+            if (recipient.id !== player.id) {
+                sendToClient(ws, chat);
+            }
+            break;
+        }
+
+        default:
+            if (!CONFIG.CHAT_CHANNELS.includes(message.channel)) {
+                reject('Unknown chat channel.');
+                return;
+            }
+            broadcast(chat);
+    }
+}
+
+// Move a player one tile. Rejected moves send the authoritative position
+// back so the client can undo its optimistic update. The client numbers its
+// steps and both replies carry the number, so it knows which step they answer.
+function movePlayer(ws, player, x, y, seq) {
+    const now = Date.now();
+    const reason = getMoveRejection(player, x, y, now);
+    seq = Number.isInteger(seq) ? seq : null;
+
+    if (reason) {
+        sendToClient(ws, {
+            type: 'moveRejected',
+            x: player.x,
+            y: player.y,
+            reason: reason,
+            seq: seq,
+        });
+        return;
+    }
+
+    const duration = getStepDuration(player, x !== player.x && y !== player.y);
+    const oldX = player.x;
+    const oldY = player.y;
+    player.direction = getDirection(x - player.x, y - player.y, player.direction);
+    player.x = x;
+    player.y = y;
+    // The next step is due a full step after this one was, not after it
+    // arrived, so steps sent early within the tolerance cannot add up
+    player.nextStepAt = Math.max(now, player.nextStepAt) + duration;
+    moveInGrid('player', player, oldX, oldY);
+
+    updateWatchers('player', player, {
+        type: 'playerMoved',
+        playerId: player.id,
+        x: x,
+        y: y,
+        direction: player.direction,
+        duration: duration,
+        timestamp: now,
+        seq: seq,
+    });
+    updateView(player);
+    updatePlayerZone(player);
+}
+
+// Speed grows with level, items and buffs
+function getPlayerSpeed(player) {
+    return CONFIG.BASE_SPEED + (player.level - 1) * CONFIG.SPEED_PER_LEVEL + getAttributeBonus(player, 'speed');
+}
+
+// Milliseconds a step takes, the same formula as the client
+function getStepDuration(player, diagonal) {
+    const duration = CONFIG.STEP_SPEED_SCALE / Math.max(1, getPlayerSpeed(player));
+    return Math.round(diagonal ? duration * CONFIG.DIAGONAL_STEP_FACTOR : duration);
+}
+
+// Check a player step against the movement rules, returning why it is
+// not allowed or null if it is
+function getMoveRejection(player, x, y, now) {
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+        return 'invalid position';
+    }
+
+    const dx = Math.abs(x - player.x);
+    const dy = Math.abs(y - player.y);
+    if (Math.max(dx, dy) !== 1) {
+        return 'not a single step';
+    }
+
+    if (now < player.nextStepAt - CONFIG.PLAYER_STEP_TOLERANCE) {
+        return 'too fast';
+    }
+
+    if (!isValidMove(x, y)) {
+        return 'blocked';
+    }
+
+    if (isTileOccupied(x, y)) {
+        return 'occupied';
+    }
+
+    if (isPzLocked(player, now) && isProtectionZone(x, y) && !isProtectionZone(player.x, player.y)) {
+        return 'pz locked';
+    }
+
+    return null;
+}
+
+// Check if a monster, NPC or player stands on a tile
+function isTileOccupied(x, y) {
+    const here = { x: 0, y: 0 };
+    return getEntitiesNear('monster', { x, y }, here).length > 0 ||
+        getEntitiesNear('npc', { x, y }, here).length > 0 ||
+        getEntitiesNear('player', { x, y }, here).some(player => !player.dead);
+}
+
+// Apply damage to a player and broadcast the result. attacker is the
+// player who dealt it, if any, for skulls and frags.
+function damagePlayer(player, damage, attacker = null) {
+    if (player.dead) return;
+
+    const now = Date.now();
+    if (attacker) {
+        recordPlayerAttack(attacker, player, now);
+    }
+    player.health = Math.max(0, player.health - damage);
+
+    sendToWatchers('player', player, {
+        type: 'playerDamaged',
+        playerId: player.id,
+        health: player.health,
+        damage: damage,
+    });
+
+    if (player.health <= 0) {
+        if (attacker) {
+            recordPlayerKill(attacker, player, now);
+        }
+        killPlayer(player, attacker);
+    }
+}
+
+// Leave the player's ghost where they died until they respawn. Death
+// clears a white skull; frags stay until they expire.
+function killPlayer(player, killer = null) {
+    player.dead = true;
+    player.buffs = [];
+    player.target = null;
+    player.whiteSkullUntil = 0;
+    player.pzLockedUntil = 0;
+    applyDeathPenalty(player);
+
+    sendToWatchers('player', player, {
+        type: 'playerDied',
+        playerId: player.id,
+        x: player.x,
+        y: player.y,
+        killerName: killer ? killer.name : null,
+        respawnDelay: CONFIG.RESPAWN_DELAY,
+    });
+    updateSkull(player, Date.now());
+
+    console.log(`${player.name} died at (${player.x}, ${player.y})`);
+    player.respawnTimer = setTimeout(() => respawnPlayer(player), CONFIG.RESPAWN_DELAY);
+}
+
+function applyDeathPenalty(player) {
+    player.deaths = (player.deaths || 0) + 1;
+    player.experience = Math.floor(player.experience * (1 - CONFIG.DEATH_EXPERIENCE_LOSS));
+    updateLevel(player);
+}
+
+// Bring a dead player back at a temple with full health
+function respawnPlayer(player) {
+    clearTimeout(player.respawnTimer);
+    player.respawnTimer = null;
+
+    const spawnPos = findTempleSpawn(player.x, player.y);
+    const oldX = player.x;
+    const oldY = player.y;
+    player.x = spawnPos.x;
+    player.y = spawnPos.y;
+    player.health = player.maxHealth;
+    player.mana = player.maxMana;
+    player.dead = false;
+    moveInGrid('player', player, oldX, oldY);
+
+    updateWatchers('player', player, {
+        type: 'playerRespawned',
+        playerId: player.id,
+        x: player.x,
+        y: player.y,
+        health: player.health,
+        maxHealth: player.maxHealth,
+        experience: player.experience,
+    });
+    updateView(player);
+    updatePlayerZone(player);
+    sendPlayerStats(player);
+}
+
+// Sectors marked as a temple or town (customProperties temple/town = "true")
+function getTempleSectors() {
+    const sectors = gameState.mapData ? gameState.mapData.sectors : [];
+    return sectors.filter(sector => {
+        const props = sector.properties && sector.properties.customProperties || {};
+        return props.temple === 'true' || props.town === 'true';
+    });
+}
+
+// Find a free tile in the temple sector closest to (x, y), falling back to
+// a random spawn position when the map has no usable temple
+function findTempleSpawn(x, y) {
+    const sectorCenter = sector => ({
+        x: sector.boundaries.x + sector.boundaries.width / 2,
+        y: sector.boundaries.y + sector.boundaries.height / 2,
+    });
+    const temples = getTempleSectors().sort((a, b) => {
+        const ca = sectorCenter(a);
+        const cb = sectorCenter(b);
+        return Math.hypot(ca.x - x, ca.y - y) - Math.hypot(cb.x - x, cb.y - y);
+    });
+
+    for (const sector of temples) {
+        const bounds = sector.boundaries;
+        const tiles = [];
+        for (let ty = bounds.y; ty < bounds.y + bounds.height; ty++) {
+            for (let tx = bounds.x; tx < bounds.x + bounds.width; tx++) {
+                if (isValidMove(tx, ty) && !isTileOccupied(tx, ty)) {
+                    tiles.push({ x: tx, y: ty });
+                }
+            }
+        }
+        if (tiles.length > 0) {
+            return tiles[Math.floor(Math.random() * tiles.length)];
+        }
+    }
+
+    return findSpawnPosition();
+}
+
+// Apply damage to a monster and broadcast the result
+function damageMonster(monster, damage, attacker = null) {
+    // Remember who dealt the damage so experience can be shared on death,
+    // and build threat. The hit provokes it, even on its way home.
+    if (attacker) {
+        const dealt = Math.min(damage, Math.max(0, monster.health));
+        monster.damageTakenBy[attacker.id] = (monster.damageTakenBy[attacker.id] || 0) + dealt;
+        monster.threat[attacker.id] = (monster.threat[attacker.id] || 0) + dealt;
+        monster.provokedUntil = Date.now() + CONFIG.MONSTER_PROVOKED_TIME;
+    }
+
+    monster.health -= damage;
+
+    if (monster.health <= 0) {
+        // Remove dead monster
+        gameState.monsters = gameState.monsters.filter(m => m.id !== monster.id);
+        gameState.monsterPaths.delete(monster.id);
+
+        sendToWatchers('monster', monster, {
+            type: 'monsterDied',
+            monsterId: monster.id,
+        });
+        forgetEntity('monster', monster);
+
+        awardExperience(monster);
+        countQuestKill(monster);
+        dropCorpse(monster, attacker);
+
+        // Queue a replacement at the monster's spawn
+        const spawn = gameState.spawns.find(s => s.id === monster.spawnId);
+        if (spawn) {
+            spawn.respawnAt.push(Date.now() + spawn.respawnInterval);
+        }
+    } else {
+        sendToWatchers('monster', monster, {
+            type: 'monsterDamaged',
+            monsterId: monster.id,
+            health: monster.health,
+            damage: damage,
+        });
+    }
+}
+
+// Experience needed to reach a level (Tibia's formula, level 2 at 100)
+function getExperienceForLevel(level) {
+    return Math.round((50 / 3) * (Math.pow(level, 3) - 6 * Math.pow(level, 2) + 17 * level - 12));
+}
+
+function getLevelForExperience(experience) {
+    let level = 1;
+    while (experience >= getExperienceForLevel(level + 1)) {
+        level++;
+    }
+    return level;
+}
+
+// Share a dead monster's experience between the players who damaged it,
+// in proportion to the damage each of them dealt
+function awardExperience(monster) {
+    const dealers = Object.entries(monster.damageTakenBy);
+    const totalDamage = dealers.reduce((sum, [, dealt]) => sum + dealt, 0);
+    if (totalDamage === 0) return;
+
+    dealers.forEach(([playerId, dealt]) => {
+        const player = gameState.players.get(Number(playerId));
+        if (!player || player.dead) return;
+
+        const experience = Math.floor(gameState.creatures[monster.type].experience * dealt / totalDamage);
+        if (experience > 0) {
+            gainExperience(player, experience);
+        }
+    });
+}
+
+// A kill counts for every player who helped
+function countQuestKill(monster) {
+    Object.entries(monster.damageTakenBy).forEach(([playerId, dealt]) => {
+        const player = gameState.players.get(Number(playerId));
+        if (player && !player.dead && dealt > 0) {
+            advanceQuests(player, 'kill', monster.type);
+        }
+    });
+}
+
+function gainExperience(player, amount) {
+    player.experience += amount;
+    sendToPlayer(player.id, {
+        type: 'experienceGained',
+        amount: amount,
+    });
+    updateLevel(player);
+}
+
+// Recalculate level and level-based stats from experience. Handles both
+// level ups and losing levels to the death penalty.
+function updateLevel(player) {
+    const oldLevel = player.level;
+    applyLevelStats(player);
+    const level = player.level;
+
+    if (level !== oldLevel) {
+        sendToWatchers('player', player, {
+            type: 'playerLevelChanged',
+            playerId: player.id,
+            level: level,
+            oldLevel: oldLevel,
+            health: player.health,
+            maxHealth: player.maxHealth,
+        });
+    }
+    sendPlayerStats(player);
+}
+
+function applyLevelStats(player) {
+    const level = getLevelForExperience(player.experience);
+
+    player.level = level;
+    player.maxHealth = CONFIG.BASE_HEALTH + (level - 1) * CONFIG.HEALTH_PER_LEVEL;
+    player.maxMana = CONFIG.BASE_MANA + (level - 1) * CONFIG.MANA_PER_LEVEL;
+    player.health = Math.min(player.health, player.maxHealth);
+    player.mana = Math.min(player.mana, player.maxMana);
+}
+
+// Tries needed to advance a skill from its current level
+function getSkillTriesNeeded(skillName, level) {
+    const skill = CONFIG.SKILLS[skillName];
+    return Math.floor(skill.baseTries * Math.pow(skill.triesMultiplier, level - skill.startLevel));
+}
+
+// Count one use of a skill and advance it when enough tries are collected
+function addSkillTry(player, skillName) {
+    const skill = player.skills[skillName];
+    skill.tries++;
+
+    if (skill.tries >= getSkillTriesNeeded(skillName, skill.level)) {
+        skill.level++;
+        skill.tries = 0;
+        sendToPlayer(player.id, {
+            type: 'skillAdvanced',
+            skill: skillName,
+            level: skill.level,
+        });
+    }
+    sendPlayerStats(player);
+}
+
+// Melee damage grows 5% per melee skill level above the starting level
+function getMeleeDamageRange(player) {
+    const skill = CONFIG.SKILLS.melee;
+    const factor = 1 + (player.skills.melee.level - skill.startLevel) * skill.damageBonus;
+    const attack = getAttributeBonus(player, 'attack');
+    return {
+        min: Math.floor((CONFIG.MELEE_MIN_DAMAGE + Math.floor(attack / 2)) * factor),
+        max: Math.floor((CONFIG.MELEE_MAX_DAMAGE + attack) * factor),
+    };
+}
+
+// Spell damage and healing grow 10% per magic level
+function getSpellPower(player, spell) {
+    const skill = CONFIG.SKILLS.magic;
+    const factor = 1 + (player.skills.magic.level - skill.startLevel) * skill.damageBonus;
+    return {
+        min: Math.floor(spell.power.min * factor),
+        max: Math.floor(spell.power.max * factor),
+    };
+}
+
+// Progression values shown in the player's UI
+function getPlayerStats(player) {
+    return {
+        level: player.level,
+        experience: player.experience,
+        experienceForLevel: getExperienceForLevel(player.level),
+        experienceForNextLevel: getExperienceForLevel(player.level + 1),
+        health: player.health,
+        maxHealth: player.maxHealth,
+        mana: player.mana,
+        maxMana: player.maxMana,
+        skills: Object.keys(player.skills).map(name => ({
+            name: name,
+            level: player.skills[name].level,
+            percent: Math.floor(player.skills[name].tries / getSkillTriesNeeded(name, player.skills[name].level) * 100),
+        })),
+        meleeDamage: getMeleeDamageRange(player),
+        attackSpeed: getAttackSpeed(player),
+        fireballDamage: getSpellPower(player, gameState.spells.fireball),
+        armor: getAttributeBonus(player, 'armor'),
+        defense: getAttributeBonus(player, 'defense'),
+        weight: getCarriedWeight(player),
+        capacity: getCapacity(player),
+        speed: getPlayerSpeed(player),
+        buffs: player.buffs.map(buff => ({
+            spellId: buff.spellId,
+            attribute: buff.attribute,
+            amount: buff.amount,
+            remaining: buff.expiresAt - Date.now(),
+        })),
+    };
+}
+
+function sendPlayerStats(player) {
+    sendToPlayer(player.id, {
+        type: 'playerStats',
+        stats: getPlayerStats(player),
+    });
+}
+
+// Items
+
+// A backpack with the given entries in its first slots
+function createBackpack(entries = []) {
+    const backpack = new Array(CONFIG.BACKPACK_SIZE).fill(null);
+    entries.forEach((entry, i) => {
+        backpack[i] = entry;
+    });
+    return backpack;
+}
+
+function createEquipment(equipped = {}) {
+    const equipment = {};
+    EQUIPMENT_SLOTS.forEach(slot => {
+        equipment[slot] = equipped[slot] || null;
+    });
+    return equipment;
+}
+
+// Fit a loaded character's items to the current backpack size, slots and
+// item definitions, which may have changed since it was saved
+function normalizeItems(player) {
+    // Drop unknown items and bad counts; clamp the rest to what a slot can hold
+    const normalize = entry => {
+        const item = entry && gameState.items[entry.itemId];
+        if (!item || !Number.isInteger(entry.count) || entry.count < 1) return null;
+        const count = item.stackable ? Math.min(entry.count, CONFIG.ITEM_MAX_STACK) : 1;
+        return { itemId: entry.itemId, count };
+    };
+
+    const backpack = createBackpack();
+    (player.inventory || []).forEach((entry, i) => {
+        if (i < backpack.length) {
+            backpack[i] = normalize(entry);
+        }
+    });
+    player.inventory = backpack;
+
+    const equipment = createEquipment();
+    EQUIPMENT_SLOTS.forEach(slot => {
+        const entry = normalize(player.equipment && player.equipment[slot]);
+        if (entry && gameState.items[entry.itemId].slot === slot) {
+            equipment[slot] = entry;
+        }
+    });
+    player.equipment = equipment;
+}
+
+// Sum of an attribute over everything the player has equipped
+function getEquipmentBonus(player, attribute) {
+    return EQUIPMENT_SLOTS.reduce((total, slot) => {
+        const entry = player.equipment[slot];
+        const value = entry ? gameState.items[entry.itemId].attributes[attribute] : 0;
+        return total + (value || 0);
+    }, 0);
+}
+
+function getCarriedWeight(player) {
+    const entries = player.inventory.concat(EQUIPMENT_SLOTS.map(slot => player.equipment[slot]));
+    const weight = entries.reduce((total, entry) => {
+        return entry ? total + gameState.items[entry.itemId].weight * entry.count : total;
+    }, 0);
+    return Math.round(weight * 100) / 100;
+}
+
+function getCapacity(player) {
+    return CONFIG.BASE_CAPACITY + (player.level - 1) * CONFIG.CAPACITY_PER_LEVEL;
+}
+
+// Equipment plus active spell buffs
+function getAttributeBonus(player, attribute) {
+    return player.buffs.reduce((total, buff) =>
+        total + (buff.attribute === attribute ? buff.amount : 0), getEquipmentBonus(player, attribute));
+}
+
+// Armor and shield defense absorb between half and all of their total
+function applyProtection(player, damage) {
+    const protection = getAttributeBonus(player, 'armor') + getAttributeBonus(player, 'defense');
+    const absorbed = Math.floor(protection / 2) + Math.floor(Math.random() * (Math.ceil(protection / 2) + 1));
+    return Math.max(0, damage - absorbed);
+}
+
+// Getter and setter for one backpack or equipment slot, or null if the
+// location does not exist
+function getItemLocation(player, location) {
+    if (!location) return null;
+
+    if (location.type === 'backpack' && Number.isInteger(location.index) &&
+        location.index >= 0 && location.index < player.inventory.length) {
+        return {
+            slot: null,
+            get: () => player.inventory[location.index],
+            set: entry => { player.inventory[location.index] = entry; },
+        };
+    }
+    if (location.type === 'equipment' && EQUIPMENT_SLOTS.includes(location.slot)) {
+        return {
+            slot: location.slot,
+            get: () => player.equipment[location.slot],
+            set: entry => { player.equipment[location.slot] = entry; },
+        };
+    }
+    return null;
+}
+
+// Backpack slot an item should go to when no index is given: a stack of the
+// same item with room left, else the first empty slot
+function findBackpackSlot(backpack, itemId) {
+    const item = gameState.items[itemId];
+    let index = -1;
+    if (item.stackable) {
+        index = backpack.findIndex(entry =>
+            entry && entry.itemId === itemId && entry.count < CONFIG.ITEM_MAX_STACK);
+    }
+    if (index === -1) {
+        index = backpack.indexOf(null);
+    }
+    return index === -1 ? null : index;
+}
+
+// Put items in the backpack, filling stacks first. Returns the reason when
+// they don't all fit, in which case nothing is added.
+function addToBackpack(player, itemId, count) {
+    const item = gameState.items[itemId];
+    if (getCarriedWeight(player) + item.weight * count > getCapacity(player)) {
+        return 'You cannot carry that much.';
+    }
+
+    const backpack = player.inventory.map(entry => entry && { ...entry });
+    let left = count;
+    while (left > 0) {
+        const index = findBackpackSlot(backpack, itemId);
+        if (index === null) {
+            return 'Your backpack is full.';
+        }
+
+        const added = item.stackable ? Math.min(left, CONFIG.ITEM_MAX_STACK - (backpack[index] ? backpack[index].count : 0)) : 1;
+        if (backpack[index]) {
+            backpack[index].count += added;
+        } else {
+            backpack[index] = { itemId, count: added };
+        }
+        left -= added;
+    }
+
+    player.inventory = backpack;
+    return null;
+}
+
+// How many of an item are in the backpack
+function countBackpackItem(player, itemId) {
+    return player.inventory.reduce((total, entry) =>
+        total + (entry && entry.itemId === itemId ? entry.count : 0), 0);
+}
+
+// Take items out of the backpack, emptying the last stacks first. Returns
+// false, taking nothing, when there are not enough.
+function removeFromBackpack(player, itemId, count) {
+    if (countBackpackItem(player, itemId) < count) return false;
+
+    let left = count;
+    for (let index = player.inventory.length - 1; index >= 0 && left > 0; index--) {
+        const entry = player.inventory[index];
+        if (!entry || entry.itemId !== itemId) continue;
+
+        const taken = Math.min(left, entry.count);
+        entry.count -= taken;
+        left -= taken;
+        if (entry.count === 0) {
+            player.inventory[index] = null;
+        }
+    }
+    return true;
+}
+
+// Move, stack, split or swap items between backpack and equipment slots
+function moveItem(ws, player, message) {
+    const reject = reason => sendToClient(ws, { type: 'itemMoveRejected', reason });
+
+    if (message.from && message.from.type === 'corpse') {
+        lootItem(ws, player, message);
+        return;
+    }
+
+    const source = getItemLocation(player, message.from);
+    const entry = source && source.get();
+    if (!entry) {
+        reject('There is no item there.');
+        return;
+    }
+
+    const count = message.count === undefined ? entry.count : message.count;
+    if (!Number.isInteger(count) || count <= 0 || count > entry.count) {
+        reject('Invalid item count.');
+        return;
+    }
+
+    let to = message.to;
+    if (to && to.type === 'backpack' && to.index === undefined) {
+        const index = findBackpackSlot(player.inventory, entry.itemId);
+        if (index === null) {
+            reject('Your backpack is full.');
+            return;
+        }
+        to = { type: 'backpack', index };
+    }
+
+    const target = getItemLocation(player, to);
+    if (!target) {
+        reject('You cannot put that there.');
+        return;
+    }
+
+    const item = gameState.items[entry.itemId];
+    if (target.slot && item.slot !== target.slot) {
+        reject(`You cannot wear ${item.name} there.`);
+        return;
+    }
+
+    const existing = target.get();
+    if (existing === entry) return;
+
+    if (!existing) {
+        if (count === entry.count) {
+            source.set(null);
+            target.set(entry);
+        } else {
+            entry.count -= count;
+            target.set({ itemId: entry.itemId, count });
+        }
+    } else if (existing.itemId === entry.itemId && item.stackable) {
+        const moved = Math.min(count, CONFIG.ITEM_MAX_STACK - existing.count);
+        existing.count += moved;
+        entry.count -= moved;
+        if (entry.count === 0) {
+            source.set(null);
+        }
+    } else {
+        // Swap, as long as the other item fits where this one came from
+        const existingItem = gameState.items[existing.itemId];
+        if (count !== entry.count || (source.slot && existingItem.slot !== source.slot)) {
+            reject('There is no room for that.');
+            return;
+        }
+        source.set(existing);
+        target.set(entry);
+    }
+
+    sendInventory(player);
+    sendPlayerStats(player);
+}
+
+function sendInventory(player) {
+    sendToPlayer(player.id, {
+        type: 'inventory',
+        inventory: player.inventory,
+        equipment: player.equipment,
+    });
+}
+
+// Ground items and corpses
+
+function getTileKey(x, y) {
+    return `${x},${y}`;
+}
+
+function getTileItems(x, y) {
+    return gameState.groundItems.get(getTileKey(x, y)) || [];
+}
+
+// What clients see of a tile's stack: corpse contents stay hidden until opened
+function getTileItemsMessage(key) {
+    const [x, y] = key.split(',').map(Number);
+    return {
+        type: 'tileItems',
+        x,
+        y,
+        items: getTileItems(x, y).map(item => item.corpse
+            ? { uid: item.uid, corpse: true, creatureType: item.creatureType, name: item.name }
+            : { uid: item.uid, itemId: item.itemId, count: item.count }),
+    };
+}
+
+function setTileItems(x, y, items) {
+    const key = getTileKey(x, y);
+    if (items.length > 0) {
+        gameState.groundItems.set(key, items);
+    } else {
+        gameState.groundItems.delete(key);
+    }
+    sendToChunkWatchers(x, y, getTileItemsMessage(key));
+}
+
+// Put an item on top of a tile, stacking onto the same item if it is on top
+function placeGroundItem(x, y, itemId, count) {
+    const items = getTileItems(x, y).slice();
+    const top = items[items.length - 1];
+    const item = gameState.items[itemId];
+
+    if (top && !top.corpse && top.itemId === itemId && item.stackable &&
+        top.count + count <= CONFIG.ITEM_MAX_STACK) {
+        top.count += count;
+    } else {
+        items.push({ uid: gameState.nextGroundItemId++, itemId, count });
+    }
+    setTileItems(x, y, items);
+}
+
+// Roll each loot table entry against its drop chance
+function rollLoot(creature) {
+    const loot = [];
+    creature.loot.forEach(entry => {
+        if (Math.random() >= entry.chance) return;
+
+        const count = Math.floor(Math.random() * (entry.max - entry.min + 1)) + entry.min;
+        if (gameState.items[entry.itemId].stackable) {
+            loot.push({ itemId: entry.itemId, count });
+        } else {
+            for (let i = 0; i < count; i++) {
+                loot.push({ itemId: entry.itemId, count: 1 });
+            }
+        }
+    });
+    return loot;
+}
+
+// Leave a corpse holding the monster's loot. For a short while only the
+// killer may open it; there are no parties yet to share it with.
+function dropCorpse(monster, killer) {
+    const creature = gameState.creatures[monster.type];
+    const now = Date.now();
+    const corpse = {
+        uid: gameState.nextGroundItemId++,
+        corpse: true,
+        creatureType: monster.type,
+        name: `dead ${creature.name.toLowerCase()}`,
+        items: rollLoot(creature),
+        ownerIds: killer ? [killer.id] : [],
+        protectedUntil: killer ? now + CONFIG.LOOT_PROTECTION_TIME : 0,
+        decayAt: now + CONFIG.CORPSE_DECAY_TIME,
+    };
+
+    gameState.corpses.push({ x: monster.x, y: monster.y, corpse });
+    setTileItems(monster.x, monster.y, getTileItems(monster.x, monster.y).concat([corpse]));
+}
+
+// Remove corpses whose time is up, along with anything left inside
+function decayCorpses(now) {
+    while (gameState.corpses.length > 0 && gameState.corpses[0].corpse.decayAt <= now) {
+        const { x, y, corpse } = gameState.corpses.shift();
+        setTileItems(x, y, getTileItems(x, y).filter(item => item !== corpse));
+    }
+}
+
+function canOpenCorpse(player, corpse) {
+    return Date.now() >= corpse.protectedUntil || corpse.ownerIds.includes(player.id);
+}
+
+// A ground item the player can reach, or the reason they can't
+function findReachableGroundItem(player, x, y, uid) {
+    if (getTileDistance(player, { x, y }) > 1) {
+        return { error: 'You are too far away.' };
+    }
+    const item = getTileItems(x, y).find(groundItem => groundItem.uid === uid);
+    return item ? { item } : { error: 'There is nothing there.' };
+}
+
+function sendCorpseContents(player, x, y, corpse) {
+    sendToPlayer(player.id, {
+        type: 'corpseContents',
+        x,
+        y,
+        uid: corpse.uid,
+        name: corpse.name,
+        items: corpse.items,
+    });
+}
+
+function openCorpse(ws, player, message) {
+    const reject = reason => sendToClient(ws, { type: 'itemMoveRejected', reason });
+
+    const { item, error } = findReachableGroundItem(player, message.x, message.y, message.uid);
+    if (error) {
+        reject(error);
+    } else if (!item.corpse) {
+        reject('You cannot open this.');
+    } else if (!canOpenCorpse(player, item)) {
+        reject('You are not the owner.');
+    } else {
+        sendCorpseContents(player, message.x, message.y, item);
+    }
+}
+
+// Take an item out of a corpse into the backpack
+function lootItem(ws, player, message) {
+    const reject = reason => sendToClient(ws, { type: 'itemMoveRejected', reason });
+    const from = message.from;
+
+    const { item: corpse, error } = findReachableGroundItem(player, from.x, from.y, from.uid);
+    if (error) {
+        reject(error);
+        return;
+    }
+    if (!corpse.corpse || !canOpenCorpse(player, corpse)) {
+        reject('You are not the owner.');
+        return;
+    }
+    if (!message.to || message.to.type !== 'backpack') {
+        reject('Loot goes into your backpack.');
+        return;
+    }
+
+    const entry = corpse.items[from.index];
+    const count = message.count === undefined ? (entry && entry.count) : message.count;
+    if (!entry || !Number.isInteger(count) || count <= 0 || count > entry.count) {
+        reject('There is no item there.');
+        return;
+    }
+
+    const failure = addToBackpack(player, entry.itemId, count);
+    if (failure) {
+        reject(failure);
+        return;
+    }
+
+    entry.count -= count;
+    if (entry.count === 0) {
+        corpse.items.splice(from.index, 1);
+    }
+
+    sendCorpseContents(player, from.x, from.y, corpse);
+    sendInventory(player);
+    sendPlayerStats(player);
+    // Only loot counts: items on the ground were all dropped by players,
+    // so picking them up again could be repeated for free
+    advanceQuests(player, 'pickup', entry.itemId, count);
+}
+
+// Pick the given item up off an adjacent tile
+function pickUpItem(ws, player, message) {
+    const reject = reason => sendToClient(ws, { type: 'itemMoveRejected', reason });
+
+    const { item, error } = findReachableGroundItem(player, message.x, message.y, message.uid);
+    if (error) {
+        reject(error);
+        return;
+    }
+    if (item.corpse) {
+        reject('You cannot carry that.');
+        return;
+    }
+
+    const count = message.count === undefined ? item.count : message.count;
+    if (!Number.isInteger(count) || count <= 0 || count > item.count) {
+        reject('Invalid item count.');
+        return;
+    }
+
+    const failure = addToBackpack(player, item.itemId, count);
+    if (failure) {
+        reject(failure);
+        return;
+    }
+
+    item.count -= count;
+    setTileItems(message.x, message.y, getTileItems(message.x, message.y).filter(groundItem => groundItem.count !== 0));
+    sendInventory(player);
+    sendPlayerStats(player);
+}
+
+// Whether a player can put items on a tile
+function getDropRejection(player, x, y) {
+    if (!Number.isInteger(x) || !Number.isInteger(y) || !isValidMove(x, y)) {
+        return 'There is no room for that.';
+    }
+    if (getTileDistance(player, { x, y }) > CONFIG.ITEM_THROW_RANGE) {
+        return 'That is too far away.';
+    }
+    return null;
+}
+
+// Drop an item from the backpack or equipment onto a tile
+function dropItem(ws, player, message) {
+    const reject = reason => sendToClient(ws, { type: 'itemMoveRejected', reason });
+
+    const source = getItemLocation(player, message.from);
+    const entry = source && source.get();
+    if (!entry) {
+        reject('There is no item there.');
+        return;
+    }
+
+    const count = message.count === undefined ? entry.count : message.count;
+    if (!Number.isInteger(count) || count <= 0 || count > entry.count) {
+        reject('Invalid item count.');
+        return;
+    }
+
+    const rejection = getDropRejection(player, message.x, message.y);
+    if (rejection) {
+        reject(rejection);
+        return;
+    }
+
+    entry.count -= count;
+    if (entry.count === 0) {
+        source.set(null);
+    }
+    placeGroundItem(message.x, message.y, entry.itemId, count);
+    sendInventory(player);
+    sendPlayerStats(player);
+}
+
+// Move an item from an adjacent tile to another tile in throwing range
+function moveGroundItem(ws, player, message) {
+    const reject = reason => sendToClient(ws, { type: 'itemMoveRejected', reason });
+
+    const { item, error } = findReachableGroundItem(player, message.x, message.y, message.uid);
+    if (error) {
+        reject(error);
+        return;
+    }
+    if (item.corpse) {
+        reject('You cannot move that.');
+        return;
+    }
+
+    const count = message.count === undefined ? item.count : message.count;
+    const rejection = getDropRejection(player, message.toX, message.toY);
+    if (!Number.isInteger(count) || count <= 0 || count > item.count) {
+        reject('Invalid item count.');
+        return;
+    }
+    if (rejection) {
+        reject(rejection);
+        return;
+    }
+    if (message.toX === message.x && message.toY === message.y) return;
+
+    item.count -= count;
+    setTileItems(message.x, message.y, getTileItems(message.x, message.y).filter(groundItem => groundItem.count !== 0));
+    placeGroundItem(message.toX, message.toY, item.itemId, count);
+}
+
+// NPCs
+//
+// Players talk to NPCs in local chat, as in Tibia. Saying hi near one starts
+// a conversation, kept as a session on the player, which the NPC answers from
+// its dialogue rules until the player says bye, walks away or goes quiet.
+// Saying trade to an NPC with a shop opens its offers.
+
+function getChatWords(text) {
+    return text.toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+// Nearest NPC a player is close enough to talk to
+function findNpcNear(player) {
+    const range = { x: CONFIG.NPC_TALK_RANGE, y: CONFIG.NPC_TALK_RANGE };
+    return getEntitiesNear('npc', player, range)
+        .sort((a, b) => getDistance(a, player) - getDistance(b, player))[0] || null;
+}
+
+function getTalkingNpc(player) {
+    const session = player.npcSession;
+    return session ? gameState.npcs.find(npc => npc.id === session.npcId) : null;
+}
+
+// NPCs speak in local chat like players; |PLAYERNAME| is who they talk to
+function npcSay(npc, player, text) {
+    sendToPlayersInRange(npc, CONFIG.CHAT_SAY_RANGE, {
+        type: 'chat',
+        channel: 'say',
+        npcId: npc.id,
+        from: npc.name,
+        text: text.replace(/\|PLAYERNAME\|/g, player.name),
+        x: npc.x,
+        y: npc.y,
+    });
+}
+
+// Answer what a player said in local chat, if it greets an NPC or is
+// talking to one
+function handleNpcChat(player, text) {
+    const now = Date.now();
+    const words = getChatWords(text);
+    const said = list => list.some(word => words.includes(word));
+    const talkingTo = getTalkingNpc(player);
+
+    if (said(CONFIG.NPC_GREET_WORDS)) {
+        const npc = findNpcNear(player);
+        if (npc && npc !== talkingTo) {
+            startNpcSession(player, npc, now);
+            return;
+        }
+    }
+    if (!talkingTo) return;
+
+    const session = player.npcSession;
+    const npcType = gameState.npcTypes[talkingTo.npcType];
+    session.lastTalkAt = now;
+
+    if (said(CONFIG.NPC_FAREWELL_WORDS)) {
+        endNpcSession(player, true);
+        return;
+    }
+    if (said(CONFIG.NPC_TRADE_WORDS) && npcType.shop.length > 0) {
+        npcSay(talkingTo, player, npcType.tradeResponse);
+        openNpcTrade(player, talkingTo);
+        return;
+    }
+
+    const rule = npcType.dialogue.find(rule =>
+        rule.keywords.every(keyword => words.includes(keyword)) &&
+        (rule.topic === undefined || rule.topic === session.topic) &&
+        rule.conditions.every(condition => checkNpcCondition(player, condition)));
+    if (rule) {
+        answerDialogue(player, talkingTo, rule);
+    }
+}
+
+function startNpcSession(player, npc, now) {
+    if (player.npcSession) {
+        endNpcSession(player, false);
+    }
+    player.npcSession = { npcId: npc.id, topic: null, lastTalkAt: now, trading: false };
+    npcSay(npc, player, gameState.npcTypes[npc.npcType].greeting);
+}
+
+function endNpcSession(player, sayFarewell) {
+    const npc = getTalkingNpc(player);
+    const session = player.npcSession;
+    player.npcSession = null;
+
+    if (session.trading) {
+        sendToPlayer(player.id, { type: 'npcTradeClosed' });
+    }
+    if (sayFarewell) {
+        npcSay(npc, player, gameState.npcTypes[npc.npcType].farewell);
+    }
+}
+
+function checkNpcCondition(player, condition) {
+    switch (condition.type) {
+        case 'item':
+            return countBackpackItem(player, condition.itemId) >= (condition.count || 1);
+        case 'level':
+            return player.level >= condition.min;
+        case 'storage': {
+            const value = getStorage(player, condition.key);
+            return condition.value !== undefined ? value === condition.value : value >= condition.min;
+        }
+    }
+    return false;
+}
+
+// Run a dialogue rule's actions and say its response. If an action fails
+// the backpack is put back as it was and the NPC says why instead.
+function answerDialogue(player, npc, rule) {
+    const session = player.npcSession;
+    const inventory = player.inventory.map(entry => entry && { ...entry });
+    const failure = runNpcActions(player, npc, rule.actions);
+    if (failure) {
+        player.inventory = inventory;
+        session.topic = null;
+        npcSay(npc, player, failure);
+        return;
+    }
+
+    session.topic = rule.setTopic || null;
+    npcSay(npc, player, rule.response);
+    if (rule.actions.length > 0) {
+        sendInventory(player);
+        sendPlayerStats(player);
+    }
+}
+
+// Returns why an action could not be done, or null when all were. Storage
+// is only set and the shop only opened once everything else has worked, so
+// a failed deal never moves a quest on or leaves a trade window open.
+function runNpcActions(player, npc, actions) {
+    for (const action of actions) {
+        switch (action.type) {
+            case 'takeItem':
+                if (!removeFromBackpack(player, action.itemId, action.count)) {
+                    return `You do not have ${action.count} ${gameState.items[action.itemId].name}.`;
+                }
+                break;
+
+            case 'giveItem': {
+                const reason = addToBackpack(player, action.itemId, action.count);
+                if (reason) return reason;
+                break;
+            }
+        }
+    }
+
+    actions.filter(action => action.type === 'setStorage')
+        .forEach(action => setStorage(player, action.key, action.value));
+    if (actions.some(action => action.type === 'trade')) {
+        openNpcTrade(player, npc);
+    }
+    return null;
+}
+
+function openNpcTrade(player, npc) {
+    player.npcSession.trading = true;
+    sendToPlayer(player.id, {
+        type: 'npcTrade',
+        npcId: npc.id,
+        name: npc.name,
+        offers: gameState.npcTypes[npc.npcType].shop,
+        currency: CONFIG.CURRENCY_ITEM,
+    });
+}
+
+// Buy from or sell to the NPC the player is trading with, paid in
+// CURRENCY_ITEM. Nothing changes unless both sides of the deal fit.
+function tradeWithNpc(ws, player, message, buying) {
+    const reject = reason => sendToClient(ws, { type: 'tradeRejected', reason });
+    const npc = getTalkingNpc(player);
+    if (!npc || !player.npcSession.trading) {
+        reject('You are not trading with anyone.');
+        return;
+    }
+
+    const offer = gameState.npcTypes[npc.npcType].shop.find(entry => entry.itemId === message.itemId);
+    const price = offer && (buying ? offer.buy : offer.sell);
+    if (!price) {
+        reject(buying ? 'That is not for sale.' : `${npc.name} does not buy that.`);
+        return;
+    }
+    const count = message.count;
+    if (!Number.isInteger(count) || count < 1 || count > CONFIG.ITEM_MAX_STACK) {
+        reject(`You can trade 1 to ${CONFIG.ITEM_MAX_STACK} at a time.`);
+        return;
+    }
+
+    const item = gameState.items[offer.itemId];
+    const total = price * count;
+    const paid = buying ? { itemId: CONFIG.CURRENCY_ITEM, count: total } : { itemId: offer.itemId, count };
+    const received = buying ? { itemId: offer.itemId, count } : { itemId: CONFIG.CURRENCY_ITEM, count: total };
+
+    const inventory = player.inventory.map(entry => entry && { ...entry });
+    if (!removeFromBackpack(player, paid.itemId, paid.count)) {
+        reject(buying ? `You need ${total} ${gameState.items[CONFIG.CURRENCY_ITEM].name}.` : `You do not have ${count} ${item.name}.`);
+        return;
+    }
+    const reason = addToBackpack(player, received.itemId, received.count);
+    if (reason) {
+        player.inventory = inventory;
+        reject(reason);
+        return;
+    }
+
+    player.npcSession.lastTalkAt = Date.now();
+    sendInventory(player);
+    sendPlayerStats(player);
+    sendToClient(ws, { type: 'traded', itemId: offer.itemId, count, price: total, bought: buying });
+}
+
+// NPCs end conversations with players who walk off, die or stay silent
+function updateNpcSessions(now) {
+    gameState.players.forEach(player => {
+        const session = player.npcSession;
+        if (!session) return;
+
+        const npc = getTalkingNpc(player);
+        if (player.dead || getTileDistance(npc, player) > CONFIG.NPC_TALK_RANGE ||
+            now - session.lastTalkAt > CONFIG.NPC_IDLE_TIMEOUT) {
+            endNpcSession(player, true);
+        }
+    });
+}
+
+// Quests
+//
+// Each character has storage: numbered values under string keys, set by NPC
+// dialogue and checked by it. A quest follows one storage key through its
+// stages (see loadQuestDefinitions). Objective progress is kept under the
+// quest's key plus ".progress" and starts over on every new stage. All of it
+// lives on the server; clients are only sent the quest log to show.
+
+function getStorage(player, key) {
+    return player.storage[key] || 0;
+}
+
+function getQuestByStorageKey(key) {
+    return Object.values(gameState.quests).find(quest => quest.storageKey === key) || null;
+}
+
+function getProgressKey(quest) {
+    return `${quest.storageKey}.progress`;
+}
+
+// Stage the player is on, or null before the quest has started
+function getQuestStage(player, quest) {
+    const value = getStorage(player, quest.storageKey);
+    return quest.stages.filter(stage => stage.value <= value).pop() || null;
+}
+
+// Set a storage value. A quest on that key moves to the matching stage and
+// the player's quest log says it was updated.
+function setStorage(player, key, value) {
+    if (getStorage(player, key) === value) return;
+
+    player.storage[key] = value;
+    const quest = getQuestByStorageKey(key);
+    if (quest) {
+        delete player.storage[getProgressKey(quest)];
+        sendQuestLog(player, quest);
+    }
+}
+
+// Count something the player did towards the objective of every quest
+// stage they are on, moving on to the next stage when it is done
+function advanceQuests(player, type, subject, amount = 1) {
+    Object.values(gameState.quests).forEach(quest => {
+        const stage = getQuestStage(player, quest);
+        const objective = stage && stage.objective;
+        if (!objective || objective.type !== type || objective[QUEST_OBJECTIVES[type]] !== subject) return;
+
+        const progress = getStorage(player, getProgressKey(quest)) + amount;
+        if (progress >= objective.count) {
+            const next = quest.stages[quest.stages.indexOf(stage) + 1];
+            setStorage(player, quest.storageKey, next.value);
+        } else {
+            player.storage[getProgressKey(quest)] = progress;
+            sendQuestLog(player);
+        }
+    });
+}
+
+// Started quests with what the player has to do next
+function getQuestLog(player) {
+    return Object.values(gameState.quests).map(quest => {
+        const stage = getQuestStage(player, quest);
+        if (!stage) return null;
+
+        const objective = stage.objective;
+        return {
+            id: quest.id,
+            name: quest.name,
+            description: stage.description,
+            completed: stage === quest.stages[quest.stages.length - 1],
+            progress: objective && objective.count > 1 ? {
+                count: getStorage(player, getProgressKey(quest)),
+                required: objective.count,
+            } : null,
+        };
+    }).filter(entry => entry);
+}
+
+function sendQuestLog(player, updatedQuest = null) {
+    sendToPlayer(player.id, {
+        type: 'questLog',
+        quests: getQuestLog(player),
+        updated: updatedQuest ? updatedQuest.name : null,
+    });
+}
+
+// Spells
+
+function findSpellByWords(text) {
+    const words = text.toLowerCase();
+    return Object.values(gameState.spells).find(spell => spell.words === words) || null;
+}
+
+// Why the player can't cast a spell right now, or null if they can
+function getSpellFailure(player, spell, now) {
+    if (player.level < spell.level) {
+        return `You need level ${spell.level} to cast ${spell.name}.`;
+    }
+    if (player.mana < spell.mana) {
+        return 'You do not have enough mana.';
+    }
+    if (now < (player.spellCooldowns[spell.id] || 0) || now < (player.groupCooldowns[spell.group] || 0)) {
+        return 'You are exhausted.';
+    }
+    if (spell.effect === 'damage' && isProtectionZone(player.x, player.y)) {
+        return 'You may not attack from a protection zone.';
+    }
+    return null;
+}
+
+// Pay the mana, start the cooldowns and train magic level
+function spendSpell(player, spell, now) {
+    player.mana -= spell.mana;
+    player.spellCooldowns[spell.id] = now + spell.cooldown;
+    player.groupCooldowns[spell.group] = now + CONFIG.SPELL_GROUP_COOLDOWNS[spell.group];
+    addSkillTry(player, 'magic');
+}
+
+function rollSpellPower(player, spell) {
+    const power = getSpellPower(player, spell);
+    return Math.floor(Math.random() * (power.max - power.min + 1)) + power.min;
+}
+
+// Remove one rune from the backpack, false if the player has none
+function useRune(player, itemId) {
+    const index = player.inventory.findIndex(entry => entry && entry.itemId === itemId);
+    if (index === -1) return false;
+
+    player.inventory[index].count--;
+    if (player.inventory[index].count === 0) {
+        player.inventory[index] = null;
+    }
+    sendInventory(player);
+    return true;
+}
+
+// Cast an instant spell on the caster or a rune on a target tile. Returns
+// whether the spell was cast.
+function castSpell(ws, player, message) {
+    const reject = reason => {
+        sendToClient(ws, { type: 'spellRejected', spellId: message.spellId, reason });
+        return false;
+    };
+
+    const spell = gameState.spells[message.spellId];
+    if (!spell || spell.type === 'projectile') {
+        return reject('Unknown spell.');
+    }
+
+    const now = Date.now();
+    const failure = getSpellFailure(player, spell, now);
+    if (failure) {
+        return reject(failure);
+    }
+
+    let center = { x: player.x, y: player.y };
+    if (spell.type === 'rune') {
+        const { x, y } = message;
+        if (!Number.isInteger(x) || !Number.isInteger(y) ||
+            x < 0 || x >= gameState.mapWidth || y < 0 || y >= gameState.mapHeight) {
+            return reject('Choose a target on the map.');
+        }
+        if (getTileDistance(player, { x, y }) > spell.range) {
+            return reject('Your target is too far away.');
+        }
+        if (!useRune(player, spell.rune)) {
+            return reject(`You have no ${gameState.items[spell.rune].name}.`);
+        }
+        center = { x, y };
+    }
+
+    spendSpell(player, spell, now);
+    applySpell(player, spell, center, now);
+    sendPlayerStats(player);
+    return true;
+}
+
+// Resolve a spell's effect around a center tile and show it to everyone
+function applySpell(player, spell, center, now) {
+    const tiles = spell.offsets
+        .map(offset => ({ x: center.x + offset.x, y: center.y + offset.y }))
+        .filter(tile => tile.x >= 0 && tile.x < gameState.mapWidth && tile.y >= 0 && tile.y < gameState.mapHeight);
+
+    broadcastNear(center, {
+        type: 'spellEffect',
+        spellId: spell.id,
+        casterId: player.id,
+        emoji: spell.emoji,
+        tiles,
+    });
+
+    switch (spell.effect) {
+        case 'damage':
+            tiles.forEach(tile => {
+                const here = { x: 0, y: 0 };
+                getEntitiesNear('monster', tile, here).forEach(monster => {
+                    damageMonster(monster, rollSpellPower(player, spell), player);
+                });
+                // Players on the tiles are only hurt where the zone rules allow
+                getEntitiesNear('player', tile, here).forEach(target => {
+                    if (!getPvpRejection(player, target)) {
+                        damagePlayer(target, applyProtection(target, rollSpellPower(player, spell)), player);
+                    }
+                });
+            });
+            break;
+
+        case 'heal': {
+            const amount = Math.min(rollSpellPower(player, spell), player.maxHealth - player.health);
+            player.health += amount;
+            sendToWatchers('player', player, {
+                type: 'playerHealed',
+                playerId: player.id,
+                health: player.health,
+                amount,
+            });
+            break;
+        }
+
+        case 'buff':
+            player.buffs = player.buffs.filter(buff => buff.spellId !== spell.id);
+            player.buffs.push({
+                spellId: spell.id,
+                attribute: spell.buff.attribute,
+                amount: spell.buff.amount,
+                expiresAt: now + spell.buff.duration,
+            });
+            break;
+    }
+}
+
+// Living players slowly regain mana
+function regenerateMana(now) {
+    gameState.players.forEach(player => {
+        if (player.dead || now < player.nextManaRegen) return;
+
+        player.nextManaRegen = now + CONFIG.MANA_REGEN_INTERVAL;
+        if (player.mana < player.maxMana) {
+            player.mana = Math.min(player.maxMana, player.mana + CONFIG.MANA_REGEN_AMOUNT);
+            sendPlayerStats(player);
+        }
+    });
+}
+
+function expireBuffs(now) {
+    gameState.players.forEach(player => {
+        const active = player.buffs.filter(buff => buff.expiresAt > now);
+        if (active.length !== player.buffs.length) {
+            player.buffs = active;
+            sendPlayerStats(player);
+        }
+    });
+}
+
+// Record a fireball cast by a player. The server simulates its flight and
+// decides hits; clients only draw a prediction.
+function castFireball(ws, player, message) {
+    const now = Date.now();
+    const { targetX, targetY, clientFireballId } = message;
+    const spell = gameState.spells.fireball;
+
+    const failure = getSpellFailure(player, spell, now);
+    if (failure) {
+        sendToClient(ws, {
+            type: 'fireballRejected',
+            clientFireballId: clientFireballId,
+            reason: failure,
+        });
+        return;
+    }
+
+    const startX = player.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+    const startY = player.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+    const dx = targetX - startX;
+    const dy = targetY - startY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (!Number.isFinite(distance) || distance === 0) {
+        sendToClient(ws, {
+            type: 'fireballRejected',
+            clientFireballId: clientFireballId,
+            reason: 'invalid target',
+        });
+        return;
+    }
+
+    spendSpell(player, spell, now);
+
+    const viewers = getEntitiesNear('player', player);
+    const fireball = {
+        id: now + Math.random(),
+        playerId: player.id,
+        clientFireballId: clientFireballId,
+        startX: player.x,
+        startY: player.y,
+        targetX: targetX,
+        targetY: targetY,
+        spriteId: CONFIG.FIREBALL_SPRITE_ID,
+        timestamp: now,
+    };
+
+    gameState.fireballs.push({
+        ...fireball,
+        x: startX,
+        y: startY,
+        vx: (dx / distance) * CONFIG.FIREBALL_SPEED,
+        vy: (dy / distance) * CONFIG.FIREBALL_SPEED,
+        damage: rollSpellPower(player, spell),
+        steps: 0,
+        active: true,
+        viewerIds: viewers.map(viewer => viewer.id), // Told when it ends
+        cast: fireball, // Sent again to players who come into view of it
+    });
+
+    viewers.forEach(viewer => sendToPlayer(viewer.id, {
+        type: 'fireballCast',
+        fireball: fireball,
+    }));
+}
+
+// Advance a fireball by one client frame. Mirrors Fireball.update() in
+// game-multiplayer.js so the prediction and the server agree.
+function stepFireball(fireball) {
+    fireball.x += fireball.vx;
+    fireball.y += fireball.vy;
+
+    // Check if out of bounds
+    if (fireball.x < 0 || fireball.x > gameState.mapWidth * CONFIG.TILE_SIZE ||
+        fireball.y < 0 || fireball.y > gameState.mapHeight * CONFIG.TILE_SIZE) {
+        fireball.active = false;
+        return;
+    }
+
+    // Check collision with monsters
+    const hitMonster = gameState.monsters.find(monster => {
+        const monsterCenterX = monster.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+        const monsterCenterY = monster.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+
+        const distance = Math.sqrt(
+            Math.pow(fireball.x - monsterCenterX, 2) +
+            Math.pow(fireball.y - monsterCenterY, 2)
+        );
+        return distance < CONFIG.FIREBALL_HIT_RADIUS;
+    });
+
+    if (hitMonster) {
+        fireball.active = false;
+        damageMonster(hitMonster, fireball.damage, gameState.players.get(fireball.playerId));
+        return;
+    }
+
+    // Players only stop it where the caster may attack them
+    const caster = gameState.players.get(fireball.playerId);
+    const hitPlayer = caster && getEntitiesNear('player', {
+        x: Math.floor(fireball.x / CONFIG.TILE_SIZE),
+        y: Math.floor(fireball.y / CONFIG.TILE_SIZE),
+    }, { x: 1, y: 1 }).find(player => {
+        const playerCenterX = player.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+        const playerCenterY = player.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2;
+
+        const distance = Math.sqrt(
+            Math.pow(fireball.x - playerCenterX, 2) +
+            Math.pow(fireball.y - playerCenterY, 2)
+        );
+        return distance < CONFIG.FIREBALL_HIT_RADIUS && !getPvpRejection(caster, player);
+    });
+
+    if (hitPlayer) {
+        fireball.active = false;
+        damagePlayer(hitPlayer, applyProtection(hitPlayer, fireball.damage), caster);
+        return;
+    }
+
+    // Check collision with obstacles
+    const tileX = Math.floor(fireball.x / CONFIG.TILE_SIZE);
+    const tileY = Math.floor(fireball.y / CONFIG.TILE_SIZE);
+
+    if (tileX >= 0 && tileX < gameState.mapWidth &&
+        tileY >= 0 && tileY < gameState.mapHeight) {
+        if (!gameState.map[tileY][tileX].walkable) {
+            fireball.active = false;
+        }
+    }
+}
+
+// Simulate fireballs in flight, one step per elapsed client frame
+function updateFireballs(now) {
+    const frameTime = 1000 / CONFIG.FIREBALL_FRAME_RATE;
+
+    gameState.fireballs.forEach(fireball => {
+        const stepsDue = Math.floor((now - fireball.timestamp) / frameTime);
+        while (fireball.active && fireball.steps < stepsDue) {
+            stepFireball(fireball);
+            fireball.steps++;
+        }
+
+        if (fireball.active) {
+            showFireballToNewViewers(fireball);
+        } else {
+            fireball.viewerIds.forEach(playerId => sendToPlayer(playerId, {
+                type: 'fireballEnded',
+                fireballId: fireball.id,
+            }));
+        }
+    });
+
+    gameState.fireballs = gameState.fireballs.filter(fireball => fireball.active);
+}
+
+// Players who come within range of a fireball in flight get it from where
+// it is now, so they see what may still hit them
+function showFireballToNewViewers(fireball) {
+    const position = {
+        x: Math.floor(fireball.x / CONFIG.TILE_SIZE),
+        y: Math.floor(fireball.y / CONFIG.TILE_SIZE),
+    };
+    getEntitiesNear('player', position).forEach(viewer => {
+        if (fireball.viewerIds.includes(viewer.id)) return;
+
+        fireball.viewerIds.push(viewer.id);
+        sendToPlayer(viewer.id, {
+            type: 'fireballCast',
+            fireball: { ...fireball.cast, x: fireball.x, y: fireball.y },
+        });
+    });
+}
+
+// Validate move
+function isValidMove(x, y) {
+    if (x < 0 || x >= gameState.mapWidth || y < 0 || y >= gameState.mapHeight) {
+        return false;
+    }
+    return gameState.map[y][x].walkable;
+}
+
+// Server game loop for monster AI
+function gameLoop() {
+    const now = Date.now();
+
+    updateFireballs(now);
+    updateSpawns(now);
+    decayCorpses(now);
+    regenerateMana(now);
+    expireBuffs(now);
+    updateNpcSessions(now);
+    expireSkulls(now);
+    updatePlayerAttacks(now);
+    pathFinder.startTick();
+
+    // Update monsters
+    gameState.monsters.forEach(monster => updateMonster(monster, now));
+}
+
+// Monster AI, at the speed and attack interval of the creature definition:
+//   idle      - wanders near its spawn point until a player comes within aggroRadius
+//   chasing   - walks along an A* path towards the player with the most threat
+//   attacking - that player is within attackRange
+//   fleeing   - health is at or below fleeHealth, runs away from its target
+//   returning - pulled more than leashRadius from spawn, walks back and forgets its threat
+function updateMonster(monster, now) {
+    const creature = gameState.creatures[monster.type];
+    const canMove = now - monster.lastMove >= 1000 / creature.speed;
+    const canAttack = now - monster.lastAttack >= creature.attackInterval;
+    if (!canMove && !canAttack) return;
+
+    // A monster hit on the way home, or past its leash, fights back for a while
+    const provoked = now < monster.provokedUntil;
+    if (monster.state === 'returning' && !provoked) {
+        if (canMove) returnToSpawn(monster, creature, now);
+        return;
+    }
+
+    if (!provoked && getTileDistance(monster, getSpawnPoint(monster)) > creature.leashRadius) {
+        monster.threat = {};
+        monster.returnFailures = 0;
+        setMonsterState(monster, 'returning');
+        return;
+    }
+
+    const target = selectTarget(monster, creature);
+    if (!target) {
+        setMonsterState(monster, 'idle');
+        if (canMove) wander(monster, creature, now);
+        return;
+    }
+
+    if (monster.health <= monster.maxHealth * creature.fleeHealth) {
+        setMonsterState(monster, 'fleeing');
+        // Cornered monsters fight back
+        if (!canMove || fleeFrom(monster, target, now)) return;
+    }
+
+    if (getTileDistance(monster, target) <= creature.attackRange) {
+        if (monster.state !== 'fleeing') {
+            setMonsterState(monster, 'attacking');
+        }
+        if (canAttack) {
+            monster.lastAttack = now;
+            const damage = Math.floor(Math.random() * (creature.damage.max - creature.damage.min + 1)) +
+                creature.damage.min;
+            damagePlayer(target, applyProtection(target, damage));
+        }
+        return;
+    }
+
+    setMonsterState(monster, 'chasing');
+    if (canMove) {
+        monster.lastMove = now;
+        stepMonsterTowards(monster, target, creature.attackRange);
+    }
+}
+
+function getSpawnPoint(monster) {
+    return { x: monster.spawnX, y: monster.spawnY };
+}
+
+function setMonsterState(monster, state) {
+    if (monster.state === state) return;
+
+    monster.state = state;
+    const follower = gameState.monsterPaths.get(monster.id);
+    if (follower) {
+        follower.clear();
+    }
+
+    sendToWatchers('monster', monster, {
+        type: 'monsterStateChanged',
+        monsterId: monster.id,
+        state: state,
+    });
+}
+
+// Players within aggro radius join the threat table; the living player with
+// the most threat is the target, the closer one on a tie
+function selectTarget(monster, creature) {
+    const aggroRange = { x: creature.aggroRadius, y: creature.aggroRadius };
+    getEntitiesNear('player', monster, aggroRange).forEach(player => {
+        if (!player.dead && !isProtectionZone(player.x, player.y)) {
+            monster.threat[player.id] = monster.threat[player.id] || 0;
+        }
+    });
+
+    let target = null;
+    let targetThreat = -1;
+
+    Object.entries(monster.threat).forEach(([playerId, threat]) => {
+        const player = gameState.players.get(Number(playerId));
+        if (!player || player.dead) {
+            delete monster.threat[playerId];
+            return;
+        }
+        // Out of reach, but remembered for when it comes out
+        if (isProtectionZone(player.x, player.y)) return;
+
+        if (threat > targetThreat ||
+            (threat === targetThreat && getDistance(player, monster) < getDistance(target, monster))) {
+            target = player;
+            targetThreat = threat;
+        }
+    });
+
+    return target;
+}
+
+// Tiles a monster may step on; protection zones keep them out
+function isFreeTile(x, y) {
+    return isValidMove(x, y) && !isTileOccupied(x, y) && !isProtectionZone(x, y);
+}
+
+function moveMonster(monster, x, y) {
+    const creature = gameState.creatures[monster.type];
+    const oldX = monster.x;
+    const oldY = monster.y;
+    monster.direction = getDirection(x - monster.x, y - monster.y, monster.direction);
+    monster.x = x;
+    monster.y = y;
+    moveInGrid('monster', monster, oldX, oldY);
+
+    updateWatchers('monster', monster, {
+        type: 'monsterMoved',
+        monsterId: monster.id,
+        x: x,
+        y: y,
+        direction: monster.direction,
+        duration: 1000 / creature.speed,
+        timestamp: Date.now(),
+    });
+}
+
+// Take one step along the monster's cached path to within range of the goal
+function stepMonsterTowards(monster, goal, range) {
+    if (!gameState.monsterPaths.has(monster.id)) {
+        gameState.monsterPaths.set(monster.id, new PathFollower(pathFinder));
+    }
+    const step = gameState.monsterPaths.get(monster.id).nextStep(monster, goal, isFreeTile, range);
+
+    if (step && isFreeTile(step.x, step.y)) {
+        moveMonster(monster, step.x, step.y);
+        return true;
+    }
+    return false;
+}
+
+// Free tiles next to a monster, optionally only those near its spawn point
+function getMonsterNeighbours(monster, maxSpawnDistance = Infinity) {
+    const spawn = getSpawnPoint(monster);
+    const tiles = [];
+
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            const tile = { x: monster.x + dx, y: monster.y + dy };
+            if ((dx !== 0 || dy !== 0) && isFreeTile(tile.x, tile.y) &&
+                getTileDistance(tile, spawn) <= maxSpawnDistance) {
+                tiles.push(tile);
+            }
+        }
+    }
+    return tiles;
+}
+
+// Idle monsters take a random step around their spawn point now and then
+function wander(monster, creature, now) {
+    if (now < monster.nextWander) return;
+    monster.lastMove = now;
+    monster.nextWander = now + CONFIG.MONSTER_WANDER_INTERVAL * (0.5 + Math.random());
+
+    const tiles = getMonsterNeighbours(monster, creature.wanderRadius);
+    if (tiles.length > 0) {
+        const tile = tiles[Math.floor(Math.random() * tiles.length)];
+        moveMonster(monster, tile.x, tile.y);
+    }
+}
+
+// Step to the free tile furthest from the threat. Returns false when no
+// step gets the monster any further away.
+function fleeFrom(monster, threat, now) {
+    let best = null;
+    let bestDistance = getDistance(monster, threat);
+
+    getMonsterNeighbours(monster).forEach(tile => {
+        const distance = getDistance(tile, threat);
+        if (distance > bestDistance) {
+            best = tile;
+            bestDistance = distance;
+        }
+    });
+
+    if (!best) return false;
+
+    monster.lastMove = now;
+    moveMonster(monster, best.x, best.y);
+    return true;
+}
+
+// Walk back until within wander radius of the spawn point, then go idle.
+// A monster whose way home stays blocked is put back near its spawn point.
+function returnToSpawn(monster, creature, now) {
+    monster.lastMove = now;
+
+    if (getTileDistance(monster, getSpawnPoint(monster)) <= creature.wanderRadius) {
+        monster.threat = {};
+        setMonsterState(monster, 'idle');
+        return;
+    }
+
+    if (stepMonsterTowards(monster, getSpawnPoint(monster), creature.wanderRadius)) {
+        monster.returnFailures = 0;
+    } else if (++monster.returnFailures >= CONFIG.MONSTER_RETURN_ATTEMPTS) {
+        teleportHome(monster, creature);
+    }
+}
+
+// Move a monster to the free tile nearest its spawn point, within its
+// wander radius. Returns false when every one of them is taken.
+function teleportHome(monster, creature) {
+    const spawn = getSpawnPoint(monster);
+    for (let radius = 0; radius <= creature.wanderRadius; radius++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const x = spawn.x + dx;
+                const y = spawn.y + dy;
+                if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius || !isFreeTile(x, y)) continue;
+
+                moveMonster(monster, x, y);
+                monster.threat = {};
+                monster.returnFailures = 0;
+                setMonsterState(monster, 'idle');
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Start server
+const PORT = process.env.PORT || 3000;
+server.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    initGame();
+    loadAccounts();
+    setInterval(gameLoop, 1000 / CONFIG.TICK_RATE);
+    setInterval(saveAllCharacters, CONFIG.AUTOSAVE_INTERVAL);
+});
+
+// Save characters before shutting down
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        console.log('Saving characters before shutdown...');
+        saveAllCharacters();
+        process.exit(0);
+    });
 });